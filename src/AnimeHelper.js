@@ -15,498 +15,4410 @@ class AnimeHelper {
   _scrollFn;
   _animatable;
 
+  /**
+   * @type {Map<HTMLElement, object>}
+   * @private
+   * @description The instances created by `autoInit()`, keyed by the element that declared them.
+   */
+  _autoInstances = new Map();
+  /**
+   * @type {Array<MutationObserver>}
+   * @private
+   * @description The mutation observers started by `autoInit()`.
+   */
+  _autoInitObservers = [];
+  /**
+   * @type {string|null}
+   * @private
+   * @description The motion policy set explicitly for this helper. When null, the policy follows `prefers-reduced-motion`.
+   */
+  _motionPolicy = null;
+  /**
+   * @type {MediaQueryList|null}
+   * @private
+   * @description The `prefers-reduced-motion` media query used as the default motion policy.
+   */
+  _motionQuery = null;
+  /**
+   * @type {string|null}
+   * @private
+   * @description The motion policy the helper's instances were last built with, to rebuild them when it changes.
+   */
+  _appliedMotion = null;
+  /**
+   * @type {Function|null}
+   * @private
+   * @description The `change` listener of `_motionQuery`, removed by `destroy()`.
+   */
+  _onMotionChange = null;
+  /**
+   * @type {boolean}
+   * @private
+   * @description Whether `observe()` throws when its config fails validation.
+   */
+  _strict = false;
+  /**
+   * @type {Map<string, object>}
+   * @private
+   * @description The registry of this helper: the shared `AnimeHelper._instances` map, or its own map when created with `isolated: true`.
+   */
+  _instances;
+  /**
+   * @type {Map<string, object>}
+   * @private
+   * @description The instance information of this helper's registry (see `_instances`).
+   */
+  _instanceInfo;
+  /**
+   * @type {Array<object>}
+   * @private
+   * @description The sync queue of this helper's registry (see `_instances`).
+   */
+  _syncQueue;
+  /**
+   * @type {Map<string, Set<Function>>}
+   * @private
+   * @description The lifecycle event handlers of this helper's registry (see `_instances`).
+   */
+  _listeners;
+  /**
+   * @type {Set<object>}
+   * @private
+   * @description The live instances created by this helper, reverted by `destroy()`.
+   */
+  _ownInstances = new Set();
+  /**
+   * @type {Set<object>}
+   * @private
+   * @description The live scroll observers created by this helper, drawn by the debug overlay.
+   */
+  _scrollObservers = new Set();
+  /**
+   * @type {Set<object>}
+   * @private
+   * @description The live pins created by this helper, outlined by the debug overlay.
+   */
+  _pins = new Set();
+  /**
+   * @type {{remove: Function}|null}
+   * @private
+   * @description The debug overlay shown by `debug(true)`.
+   */
+  _debugOverlay = null;
+
   /**
    * @type {Map<string, object>}
    * @private
    * @static
-   * @description A map to store and retrieve animation instances by their string selector.
+   * @description A map to store and retrieve animation instances by their name (the `name` option or the string selector).
    */
   static _instances = new Map();
+  /**
+   * @type {Map<string, {name: string, type: string, targets: *, groups: Array<string>, config: object}>}
+   * @private
+   * @static
+   * @description Information about each registered instance, keyed by instance name. The panel timelines of horizontal
+   * pins have no `config`, since they're rebuilt with their pin.
+   */
+  static _instanceInfo = new Map();
+  /**
+   * @type {number}
+   * @private
+   * @static
+   * @description A counter used to generate names for instances created without a name or a string selector.
+   */
+  static _instanceCount = 0;
   /**
    * @type {Array<object>}
    * @private
    * @static
-   * @description A queue for timeline syncing operations, processed after all instances are created.
+   * @description The `syncWith` syncs waiting for their master to be registered, or blocked by a cycle.
    */
   static _syncQueue = [];
+  /**
+   * @type {Map<string, Function>}
+   * @private
+   * @static
+   * @description Callbacks registered by name with `registerCallback()`, referenced by serialized timelines.
+   */
+  static _callbacks = new Map();
+  /**
+   * @type {Map<string, Set<Function>>}
+   * @private
+   * @static
+   * @description The lifecycle event handlers added with `on()`, keyed by event name.
+   */
+  static _listeners = new Map();
+  /**
+   * @type {AnimeHelper|undefined}
+   * @private
+   * @static
+   * @description The helper the static registry methods forward to (see `_getDefaultHelper()`).
+   */
+  static #defaultHelper;
+  /**
+   * @type {Array<string>}
+   * @private
+   * @static
+   * @description The lifecycle events emitted for the instances created by `observe()`.
+   */
+  static _events = ["create", "enter", "leave", "complete", "kill", "sync"];
+  /**
+   * @type {string}
+   * @private
+   * @static
+   * @description The selector used by `autoInit()` to find elements declaring an animation.
+   */
+  static _autoInitSelector =
+    "[data-anime], [data-anime-type], [data-anime-preset]";
+  /**
+   * @type {Object.<string, string>}
+   * @private
+   * @static
+   * @description Maps `data-anime-*` attribute prefixes to the config object they are written into.
+   * Keys listed in `_dataAttributeKeys` are kept at the top level even if they share a prefix.
+   */
+  static _dataAttributeGroups = {
+    scroll: "scrollParams",
+    split: "splitParams",
+    pin: "pinParams",
+    scope: "scopeParams",
+    param: "params",
+  };
+  /**
+   * @type {Array<string>}
+   * @private
+   * @static
+   * @description Top-level config keys that must not be split into a `_dataAttributeGroups` group.
+   */
+  static _dataAttributeKeys = [
+    "params",
+    "scrollParams",
+    "scrollContainer",
+    "splitBy",
+    "splitParams",
+    "pin",
+    "pinParams",
+    "scopeParams",
+  ];
+  /**
+   * @type {Array<string>}
+   * @private
+   * @static
+   * @description The supported motion policies, from the least to the most restrictive.
+   */
+  static _motionPolicies = ["full", "reduced", "none"];
+  /**
+   * @type {Array<string>}
+   * @private
+   * @static
+   * @description The units supported by relative pin durations ('+=50vh', '-=200px', '+=25%').
+   */
+  static _pinDurationUnits = ["", "px", "vh", "%"];
+  /**
+   * @type {Array<string>}
+   * @private
+   * @static
+   * @description The values accepted by `splitParams.effect`.
+   */
+  static _textEffects = ["reveal", "typewriter", "scramble"];
+  /**
+   * @type {Array<string>}
+   * @private
+   * @static
+   * @description The SVG shapes whose stroke can be drawn.
+   */
+  static _drawableTags = [
+    "path",
+    "line",
+    "polyline",
+    "polygon",
+    "rect",
+    "circle",
+    "ellipse",
+  ];
+  /**
+   * @type {Object.<string, string>}
+   * @private
+   * @static
+   * @description The values accepted by `inputs.source`, and the methods that listen to them.
+   */
+  static _inputSources = {
+    pointer: "_listenPointer",
+    scroll: "_listenScrollVelocity",
+    orientation: "_listenOrientation",
+  };
+  /**
+   * @type {number}
+   * @private
+   * @static
+   * @description The duration in milliseconds of an input update at `smoothing: 1`.
+   */
+  static _inputSmoothingDuration = 1000;
+  /**
+   * @type {Object.<string, {enter: Array<string>, leave: Array<string>}>}
+   * @private
+   * @static
+   * @description The DOM events of the built-in `trigger.event` values. Hover listens to focus as well,
+   * so keyboard users get the same states.
+   */
+  static _triggerEvents = {
+    hover: {
+      enter: ["pointerenter", "focusin"],
+      leave: ["pointerleave", "focusout"],
+    },
+    focus: { enter: ["focusin"], leave: ["focusout"] },
+    click: { enter: ["click"], leave: [] },
+  };
+  /**
+   * @type {Array<string>}
+   * @private
+   * @static
+   * @description The values accepted by `trigger.mode`.
+   */
+  static _triggerModes = ["play", "toggle", "reverse-on-leave"];
+  /**
+   * @type {Object.<string, object|undefined>}
+   * @private
+   * @static
+   * @description Maps `splitParams.order` values to anime.js stagger parameters.
+   */
+  static _staggerOrders = {
+    start: undefined,
+    end: { from: "last" },
+    center: { from: "center" },
+    edges: { from: "center", reversed: true },
+    random: { from: "random" },
+  };
+  /**
+   * @type {string}
+   * @private
+   * @static
+   * @description The default characters used by the 'scramble' text effect.
+   */
+  static _scrambleCharacters = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!#%&*+=?";
+  /**
+   * @type {WeakMap<object, Array<Function>>}
+   * @private
+   * @static
+   * @description The cleanup functions run after an instance is reverted, keyed by instance.
+   */
+  static _revertCleanups = new WeakMap();
+  /**
+   * @type {WeakMap<object, Function>}
+   * @private
+   * @static
+   * @description The handles returned for instances rebuilt in place, mapped to the function returning their current instance.
+   */
+  static _instanceHandles = new WeakMap();
+  /**
+   * @type {Array<string>}
+   * @private
+   * @static
+   * @description Animation properties that move elements. They are removed under the `'reduced'` motion policy.
+   */
+  static _transformProperties = [
+    "x",
+    "y",
+    "z",
+    "translateX",
+    "translateY",
+    "translateZ",
+    "rotate",
+    "rotateX",
+    "rotateY",
+    "rotateZ",
+    "scale",
+    "scaleX",
+    "scaleY",
+    "scaleZ",
+    "skew",
+    "skewX",
+    "skewY",
+    "perspective",
+    "matrix",
+    "matrix3d",
+    "transform",
+  ];
+  /**
+   * @type {Array<string>}
+   * @private
+   * @static
+   * @description The values accepted by the `type` config key.
+   */
+  static _configTypes = [
+    "default",
+    "splitText",
+    "scroll",
+    "scope",
+    "timeline",
+    "animatable",
+    "flip",
+  ];
+  /**
+   * @type {Map<string, {handler: Function, schema: Object.<string, string|object>}>}
+   * @private
+   * @static
+   * @description The custom types added with `registerType()`, with the schema of their own config keys.
+   */
+  static _customTypes = new Map();
+  /**
+   * @type {Object.<string, string|object>}
+   * @private
+   * @static
+   * @description The schema of a timeline step, used by `validate()`.
+   * Values are pipe-separated type names, or `{ type, keys }` / `{ type, items }` for nested objects and arrays.
+   */
+  static _stepSchema = {
+    target: "target",
+    type: "string",
+    instance: "object",
+    params: "object",
+    offset: "string|number|function",
+    stagger: "number|string|array|object|function",
+    preset: "string|array",
+    from: "string",
+    distance: "string|number",
+    intensity: "number",
+    effect: "string",
+    order: "string",
+    motion: "string",
+    flipParams: {
+      type: "object",
+      keys: {
+        mutate: "function",
+        state: "object",
+        enter: "string|array|object",
+        leave: "string|array|object",
+        stagger: "number|string|array|object|function",
+        nested: "boolean|string",
+      },
+    },
+    svgParams: {
+      type: "object",
+      keys: {
+        draw: "boolean|array|string",
+        morph: "target",
+        precision: "number",
+        path: "target",
+        autoRotate: "boolean",
+      },
+    },
+  };
+  /**
+   * @type {Object.<string, string|object>}
+   * @private
+   * @static
+   * @description The schema of the `observe()` config object, used by `validate()`.
+   */
+  static _configSchema = {
+    type: "string",
+    pin: "boolean",
+    reusable: "boolean",
+    animationTarget: "target",
+    params: "object",
+    scrollParams: "object",
+    scrollContainer: "target",
+    pinParams: {
+      type: "object",
+      keys: {
+        target: "target",
+        targets: "target",
+        animationTarget: "target",
+        duration: "string",
+        start: "string",
+        horizontal: "boolean|string",
+        panels: "target",
+        onPanelEnter: "function",
+        onPanelLeave: "function",
+      },
+    },
+    splitBy: "string|array",
+    splitParams: {
+      type: "object",
+      keys: {
+        from: "string",
+        stagger: "number|string|array|object|function",
+        distance: "string|number",
+        debug: "boolean",
+        splitOptions: "object|array",
+        effect: "string",
+        order: "string",
+        cursor: "boolean|string",
+        characters: "string",
+      },
+    },
+    timelineParams: {
+      type: "object",
+      keys: {
+        steps: { type: "array", items: this._stepSchema },
+        params: "object",
+        offsetLabel: "array",
+        call: "array",
+        init: "boolean",
+      },
+    },
+    steps: { type: "array", items: this._stepSchema },
+    flipParams: this._stepSchema.flipParams,
+    svgParams: this._stepSchema.svgParams,
+    offsetLabel: "array",
+    call: "array",
+    init: "boolean",
+    preset: "string|array",
+    from: "string",
+    distance: "string|number",
+    intensity: "number",
+    syncWith: "string|object",
+    inputs: "object|array",
+    trigger: "string|object",
+    offset: "string|number",
+    run: "function",
+    onRevert: "function",
+    scopeParams: "object",
+    motion: "string",
+    reducedMotion: "object",
+    name: "string",
+    group: "string",
+    tags: "array",
+    replace: "boolean",
+    responsive: "object",
+  };
 
   /* ========================== GLOBAL FUNCTIONS ================================ */
 
   /**
+   * Returns the helper the static registry methods forward to. It reads the shared registry, and is
+   * created without the constructor since the registry methods don't need anime.js.
+   * @static
+   * @private
+   * @returns {AnimeHelper} The default helper.
+   */
+  static _getDefaultHelper() {
+    if (!AnimeHelper.#defaultHelper) {
+      AnimeHelper.#defaultHelper = Object.assign(
+        Object.create(AnimeHelper.prototype),
+        {
+          _instances: AnimeHelper._instances,
+          _instanceInfo: AnimeHelper._instanceInfo,
+          _syncQueue: AnimeHelper._syncQueue,
+          _listeners: AnimeHelper._listeners,
+        }
+      );
+    }
+    return AnimeHelper.#defaultHelper;
+  }
+
+  /**
+   * Links the pending `syncWith` syncs of the shared registry (see `helper.applySyncs()`).
    * @static
-   * @description Processes the sync queue, linking slave timelines to their masters. Should be called after all helpers are initialized.
    */
   static applySyncs() {
-    this._syncQueue.forEach(({ slave, masterSelector, offset }) => {
-      const masterTimeline = this._instances.get(masterSelector);
-      if (masterTimeline && typeof masterTimeline.sync === "function") {
-        masterTimeline.sync(slave, offset);
-      } else {
-        console.warn(
-          `AnimeHelper: Could not find a master timeline with target "${masterSelector}" to sync with.`
-        );
-      }
-    });
-    this._syncQueue = [];
+    this._getDefaultHelper().applySyncs();
   }
 
   /**
-   * @type {Object.<string, Function>}
-   * @private
+   * Lists the `syncWith` syncs of the shared registry that are not applied yet (see `helper.getUnresolvedSyncs()`).
    * @static
-   * @description A registry for animation presets that can be used across instances.
+   * @returns {Array<object>} The unresolved syncs.
    */
-  static _presets = {
-    fadeIn: (config) => {
-      const from = config.from || "bottom";
-      const defaultDistance = 20;
-      const animation = {
-        opacity: [0, 1],
-      };
-      switch (from) {
-        case "top":
-          animation.translateY = [-defaultDistance, 0];
-          break;
-        case "left":
-          animation.translateX = [-defaultDistance, 0];
-          break;
-        case "right":
-          animation.translateX = [defaultDistance, 0];
-          break;
-        case "bottom":
-        default:
-          animation.translateY = [defaultDistance, 0];
-          break;
-      }
-      return animation;
-    },
-  };
+  static getUnresolvedSyncs() {
+    return this._getDefaultHelper().getUnresolvedSyncs();
+  }
 
   /**
-   * Adds a new animation preset to the helper.
+   * Adds a handler for a lifecycle event of the instances in the shared registry (see `helper.on()`).
    * @static
-   * @param {string} name - The name of the preset.
-   * @param {Function} generator - A function that takes a config object and returns an anime.js params object.
+   * @param {string} event - 'create', 'enter', 'leave', 'complete', 'kill' or 'sync'.
+   * @param {Function} handler - The function called with the event.
+   * @returns {Function|undefined} A function removing the handler.
    */
-  static addPreset(name, generator) {
-    if (typeof name !== "string" || typeof generator !== "function") {
-      console.error(
-        "AnimeHelper.addPreset() requires a string name and a generator function."
-      );
-      return;
-    }
-    this._presets[name] = generator;
+  static on(event, handler) {
+    return this._getDefaultHelper().on(event, handler);
+  }
+
+  /**
+   * Removes a lifecycle event handler added with `AnimeHelper.on()`.
+   * @static
+   * @param {string} event - The event name.
+   * @param {Function} handler - The handler to remove.
+   */
+  static off(event, handler) {
+    this._getDefaultHelper().off(event, handler);
   }
 
   /**
-   * Retrieves a stored animation instance by its selector.
+   * Retrieves an instance of the shared registry by its name (see `helper.get()`).
    * @static
-   * @param {string} instanceName - The string selector used to create the animation.
+   * @param {string} instanceName - The `name` option or the string selector used to create the animation.
    * @returns {object|undefined} The anime.js animation instance.
    */
   static get(instanceName) {
-    return this._instances.get(instanceName);
+    return this._getDefaultHelper().get(instanceName);
   }
 
   /**
-   * Retrieves the entire map of stored animation instances.
+   * Waits for an instance to be registered in the shared registry (see `helper.whenReady()`).
+   * @static
+   * @param {string} instanceName - The `name` option or the string selector of the instance.
+   * @returns {Promise<{name: string, instance: object}>} A promise resolved once the instance exists.
+   */
+  static whenReady(instanceName) {
+    return this._getDefaultHelper().whenReady(instanceName);
+  }
+
+  /**
+   * Retrieves the instances of the shared registry.
    * @static
    * @returns {Map<string, object>} The map of all named instances.
    */
   static getAll() {
-    return this._instances;
+    return this._getDefaultHelper().getAll();
   }
 
   /**
-   * Reverts a specific animation instance to its original state.
+   * Reverts an instance of the shared registry and unregisters it.
    * @static
-   * @param {string} instanceName - The selector of the instance to kill.
+   * @param {string} instanceName - The name of the instance to kill.
    */
   static kill(instanceName) {
-    this.#assignMethodToAnimation(this.get(instanceName), "revert");
+    this._getDefaultHelper().kill(instanceName);
   }
 
   /**
-   * Reverts all stored animation instances.
+   * Reverts all the instances of the shared registry.
    * @static
    */
   static killAll() {
-    this.#assignMethodToAnimation(this.getAll(), "revert");
+    this._getDefaultHelper().killAll();
   }
 
   /**
-   * Plays a specific animation instance.
+   * Plays an instance of the shared registry.
    * @static
-   * @param {string} instanceName - The selector of the instance to play.
+   * @param {string} instanceName - The name of the instance to play.
+   * @returns {Promise<void>} A promise resolved when the instance finishes or is killed.
    */
   static play(instanceName) {
-    this.#assignMethodToAnimation(this.get(instanceName), "play");
+    return this._getDefaultHelper().play(instanceName);
   }
 
   /**
-   * Plays all stored animation instances.
+   * Plays all the instances of the shared registry.
    * @static
+   * @returns {Promise<void>} A promise resolved when all the instances finish or are killed.
    */
   static playAll() {
-    this.#assignMethodToAnimation(this.getAll(), "play");
+    return this._getDefaultHelper().playAll();
   }
 
   /**
-   * Pauses a specific animation instance.
+   * Pauses an instance of the shared registry.
    * @static
-   * @param {string} instanceName - The selector of the instance to pause.
+   * @param {string} instanceName - The name of the instance to pause.
    */
   static pause(instanceName) {
-    this.#assignMethodToAnimation(this.get(instanceName), "pause");
+    this._getDefaultHelper().pause(instanceName);
   }
 
   /**
-   * Pauses all stored animation instances.
+   * Pauses all the instances of the shared registry.
    * @static
    */
   static pauseAll() {
-    this.#assignMethodToAnimation(this.getAll(), "pause");
+    this._getDefaultHelper().pauseAll();
   }
 
   /**
-   * Resumes a specific animation instance.
+   * Resumes an instance of the shared registry.
    * @static
-   * @param {string} instanceName - The selector of the instance to resume.
+   * @param {string} instanceName - The name of the instance to resume.
+   * @returns {Promise<void>} A promise resolved when the instance finishes or is killed.
    */
   static resume(instanceName) {
-    this.#assignMethodToAnimation(this.get(instanceName), "resume");
+    return this._getDefaultHelper().resume(instanceName);
   }
 
   /**
-   * Resumes all stored animation instances.
+   * Resumes all the instances of the shared registry.
    * @static
+   * @returns {Promise<void>} A promise resolved when all the instances finish or are killed.
    */
   static resumeAll() {
-    this.#assignMethodToAnimation(this.getAll(), "resume");
+    return this._getDefaultHelper().resumeAll();
   }
 
   /**
-   * Restarts a specific animation instance.
+   * Restarts an instance of the shared registry.
    * @static
-   * @param {string} instanceName - The selector of the instance to restart.
+   * @param {string} instanceName - The name of the instance to restart.
+   * @returns {Promise<void>} A promise resolved when the instance finishes or is killed.
    */
   static restart(instanceName) {
-    this.#assignMethodToAnimation(this.get(instanceName), "restart");
+    return this._getDefaultHelper().restart(instanceName);
   }
 
   /**
-   * Restarts all stored animation instances.
+   * Restarts all the instances of the shared registry.
    * @static
+   * @returns {Promise<void>} A promise resolved when all the instances finish or are killed.
    */
   static restartAll() {
-    this.#assignMethodToAnimation(this.getAll(), "restart");
+    return this._getDefaultHelper().restartAll();
   }
 
-  /* ========================== HELPER FUNCTIONS ================================ */
-
   /**
-   * A private static helper to apply a method to a single instance or a map of instances.
-   * @private
+   * Retrieves the instances of a group in the shared registry.
    * @static
-   * @param {object|Map<string, object>} instance - The animation instance or a Map of instances.
-   * @param {string} method - The name of the method to call (e.g., 'play', 'pause').
+   * @param {string} groupName - A `group` or one of the `tags` given to the instances.
+   * @returns {Map<string, object>} The map of the group's instances, keyed by name.
    */
-  static #assignMethodToAnimation(instance, method) {
-    if (!instance) return;
-
-    if (instance instanceof Map) {
-      instance.forEach((animation) => {
-        if (animation && typeof animation[method] === "function") {
-          animation[method]();
-        }
-      });
-      return;
-    }
-
-    if (instance && typeof instance[method] === "function") {
-      instance[method]();
-    }
+  static getGroup(groupName) {
+    return this._getDefaultHelper().getGroup(groupName);
   }
 
   /**
-   * Converts a numerical delay into an anime.js stagger function.
-   * @param {number} value - The stagger delay in milliseconds.
-   * @returns {Function} An anime.js stagger function.
-   * @private
+   * Plays the instances of a group in the shared registry.
+   * @static
+   * @param {string} groupName - The group or tag of the instances to play.
+   * @returns {Promise<void>} A promise resolved when all the instances finish or are killed.
    */
-  _delayToStagger(value) {
-    return this._anime.stagger(value);
+  static playGroup(groupName) {
+    return this._getDefaultHelper().playGroup(groupName);
   }
 
   /**
-   * Retrieves a preset animation configuration object.
-   * @param {string} preset - The name of the preset.
-   * @param {object} config - The user's main configuration object.
-   * @returns {object} The preset's parameter object.
-   * @private
+   * Pauses the instances of a group in the shared registry.
+   * @static
+   * @param {string} groupName - The group or tag of the instances to pause.
    */
-  _getPreset(preset, config) {
-    if (preset) {
-      const presetFn = this.constructor._presets[preset];
-      if (presetFn) {
-        return presetFn(config);
-      }
-    }
-    return {};
+  static pauseGroup(groupName) {
+    this._getDefaultHelper().pauseGroup(groupName);
   }
 
   /**
-   * Parses a CSS value string into a number and unit.
+   * Resumes the instances of a group in the shared registry.
+   * @static
+   * @param {string} groupName - The group or tag of the instances to resume.
+   * @returns {Promise<void>} A promise resolved when all the instances finish or are killed.
+   */
+  static resumeGroup(groupName) {
+    return this._getDefaultHelper().resumeGroup(groupName);
+  }
+
+  /**
+   * Restarts the instances of a group in the shared registry.
+   * @static
+   * @param {string} groupName - The group or tag of the instances to restart.
+   * @returns {Promise<void>} A promise resolved when all the instances finish or are killed.
+   */
+  static restartGroup(groupName) {
+    return this._getDefaultHelper().restartGroup(groupName);
+  }
+
+  /**
+   * Reverts the instances of a group in the shared registry and unregisters them.
+   * @static
+   * @param {string} groupName - The group or tag of the instances to kill.
+   */
+  static killGroup(groupName) {
+    this._getDefaultHelper().killGroup(groupName);
+  }
+
+  /* ========================== REGISTRY METHODS ================================ */
+
+  /**
+   * @description Links the pending `syncWith` syncs whose master is registered. Syncs are resolved automatically
+   * whenever `observe()` registers an instance, so calling it is only needed after registering masters by other means.
+   */
+  applySyncs() {
+    this._resolveSyncs();
+  }
+
+  /**
+   * Lists the `syncWith` syncs that are not applied yet.
+   * @returns {Array<{name: string, master: string|object, offset: *, reason: string}>} The unresolved syncs.
+   * `reason` is 'waiting' while the master isn't registered, and 'cycle' when the sync is part of (or waits on) a cycle.
+   */
+  getUnresolvedSyncs() {
+    return this._syncQueue.map(({ name, master, offset, cycle }) => ({
+      name,
+      master:
+        typeof master === "string"
+          ? master
+          : this._getRegistryName(master) ?? master,
+      offset,
+      reason: cycle ? "cycle" : "waiting",
+    }));
+  }
+
+  /**
+   * Links the pending syncs whose master is registered. A slave is linked once the syncs into it are,
+   * so chains are linked from their first slave and each master gets its final duration.
+   * Syncs that can never be linked because of a cycle are reported once and kept as unresolved.
+   * @private
+   */
+  _resolveSyncs() {
+    const queue = this._syncQueue;
+    const getMaster = ({ master }) =>
+      typeof master === "string" ? this._instances.get(master) : master;
+    const isBlocked = (sync) =>
+      getMaster(sync) === sync.slave ||
+      queue.some((other) => other !== sync && getMaster(other) === sync.slave);
+
+    let linked = true;
+    while (linked) {
+      linked = false;
+      for (const sync of [...queue]) {
+        const master = getMaster(sync);
+        if (!master || isBlocked(sync)) continue;
+
+        queue.splice(queue.indexOf(sync), 1);
+        linked = true;
+        if (typeof master.sync !== "function") {
+          console.warn(
+            `AnimeHelper: "${sync.name}" can't sync with "${
+              this._getRegistryName(master) ?? sync.master
+            }", which is not a timeline.`
+          );
+          continue;
+        }
+        this._linkSync(sync, master);
+      }
+    }
+
+    queue.forEach((sync) => {
+      if (sync.cycle || !getMaster(sync)) return;
+      sync.cycle = true;
+      const path = [sync.name];
+      let current = sync;
+      while (current && path.length <= queue.length) {
+        const master = getMaster(current);
+        path.push(this._getRegistryName(master) ?? String(current.master));
+        current = queue.find((other) => other.slave === master);
+      }
+      console.warn(
+        `AnimeHelper: Sync cycle detected (${path.join(" → ")}). "${
+          sync.name
+        }" is not synced.`
+      );
+    });
+  }
+
+  /**
+   * Syncs a slave into its master timeline. The sync is undone when either side is reverted:
+   * the slave is removed from the master, and a master known by name is waited for again (e.g. after a responsive rebuild).
+   * @private
+   * @param {{slave: object, master: string|object, offset: *, name: string}} sync - The sync.
+   * @param {object} master - The master timeline.
+   */
+  _linkSync(sync, master) {
+    master.sync(sync.slave, sync.offset);
+    this._emit("sync", sync.name, {
+      instance: sync.slave,
+      master: this._getRegistryName(master) ?? sync.master,
+    });
+
+    let isLinked = true;
+    this._onRevert(sync.slave, () => {
+      if (!isLinked) return;
+      isLinked = false;
+      if (typeof master.remove === "function") master.remove(sync.slave);
+    });
+    this._onRevert(master, () => {
+      if (!isLinked) return;
+      isLinked = false;
+      if (typeof sync.master === "string") this._syncQueue.push(sync);
+    });
+  }
+
+  /**
+   * @type {Object.<string, Function>}
+   * @private
+   * @static
+   * @description A registry for animation presets that can be used across instances.
+   * The built-in presets share the `from`, `distance` and `intensity` config options.
+   */
+  static _presets = {
+    fadeIn: (config) => ({
+      opacity: [0, 1],
+      ...this._directionalOffset(
+        config.from || "bottom",
+        config.distance ?? 20
+      ),
+    }),
+    slideIn: (config) => ({
+      ...this._directionalOffset(
+        config.from || "bottom",
+        config.distance ?? "100%"
+      ),
+    }),
+    zoomIn: ({ intensity = 1 }) => ({
+      opacity: [0, 1],
+      scale: [Math.max(0, 1 - 0.5 * intensity), 1],
+    }),
+    zoomOut: ({ intensity = 1 }) => ({
+      opacity: [0, 1],
+      scale: [1 + 0.5 * intensity, 1],
+    }),
+    blurIn: ({ intensity = 1 }) => ({
+      opacity: [0, 1],
+      filter: [`blur(${10 * intensity}px)`, "blur(0px)"],
+    }),
+    flipIn: ({ from = "bottom", intensity = 1 }) => {
+      const angle = 90 * intensity;
+      const rotations = {
+        top: { rotateX: [-angle, 0] },
+        bottom: { rotateX: [angle, 0] },
+        left: { rotateY: [angle, 0] },
+        right: { rotateY: [-angle, 0] },
+      };
+      return { opacity: [0, 1], ...(rotations[from] || rotations.bottom) };
+    },
+    wipeIn: ({ from = "left" }) => {
+      const hidden = {
+        top: "inset(0% 0% 100% 0%)",
+        bottom: "inset(100% 0% 0% 0%)",
+        left: "inset(0% 100% 0% 0%)",
+        right: "inset(0% 0% 0% 100%)",
+      };
+      return { clipPath: [hidden[from] || hidden.left, "inset(0% 0% 0% 0%)"] };
+    },
+    maskReveal: ({ from = "center", intensity = 1 }) => {
+      const origins = {
+        center: "50% 50%",
+        top: "50% 0%",
+        bottom: "50% 100%",
+        left: "0% 50%",
+        right: "100% 50%",
+      };
+      const origin = origins[from] || origins.center;
+      return {
+        clipPath: [
+          `circle(0% at ${origin})`,
+          `circle(${150 * intensity}% at ${origin})`,
+        ],
+      };
+    },
+    drawIn: ({ from = "start" }) => {
+      const starts = { start: "0 0", end: "1 1", center: "0.5 0.5" };
+      return { draw: [starts[from] || starts.start, "0 1"] };
+    },
+  };
+
+  /**
+   * Adds a new animation preset to the helper.
+   * @static
+   * @param {string} name - The name of the preset.
+   * @param {Function|object} generator - A function that takes a config object and returns an anime.js params object,
+   * or a definition object: `{ extends, options, params }`. `extends` names the preset(s) to build on,
+   * `options` sets their default config options (e.g. `{ from: 'left' }`) and `params` (an object or a generator function,
+   * which receives the config with those defaults) is merged over them.
+   */
+  static addPreset(name, generator) {
+    const isDefinition = generator !== null && typeof generator === "object";
+    if (
+      typeof name !== "string" ||
+      (typeof generator !== "function" && !isDefinition)
+    ) {
+      console.error(
+        "AnimeHelper.addPreset() requires a string name and a generator function or a definition object."
+      );
+      return;
+    }
+    if (isDefinition && [].concat(generator.extends || []).includes(name)) {
+      console.error(`AnimeHelper.addPreset(): "${name}" can't extend itself.`);
+      return;
+    }
+    this._presets[name] = isDefinition
+      ? this._compilePreset(generator)
+      : generator;
+  }
+
+  /**
+   * Adds a custom `type` to `observe()`. Custom types are scroll-triggered, `reusable`, triggered, registered,
+   * synced and usable as timeline steps like the built-in ones, as long as the handler passes `config.params`
+   * (which holds the `autoplay` scroll observer or `false`) to anime.js.
+   * @static
+   * @param {string} name - The name of the type.
+   * @param {Function} handler - Called with `(targets, config, tools)`: the resolved target elements, the effective config,
+   * and the helper's tools (`anime`, `animate`, `createTimeline`, `getPreset`, `stagger`, `resolveTargets`,
+   * `onRevert`, `instantParams` and `motion`). Returns the anime.js instance.
+   * @param {object} [options] - `schema`: the types of the type's own config keys, so `validate()` doesn't report them.
+   */
+  static registerType(name, handler, options = {}) {
+    if (typeof name !== "string" || typeof handler !== "function") {
+      console.error(
+        "AnimeHelper.registerType() requires a string name and a handler function."
+      );
+      return;
+    }
+    if (this._configTypes.includes(name)) {
+      console.error(
+        `AnimeHelper.registerType(): "${name}" is a built-in type.`
+      );
+      return;
+    }
+    this._customTypes.set(name, { handler, schema: options.schema || {} });
+  }
+
+  /**
+   * Registers a callback by name, so serialized timelines can refer to it in their `call` entries.
+   * @static
+   * @param {string} name - The name of the callback.
+   * @param {Function} callback - The function, called with the timeline.
+   */
+  static registerCallback(name, callback) {
+    if (typeof name !== "string" || typeof callback !== "function") {
+      console.error(
+        "AnimeHelper.registerCallback() requires a string name and a function."
+      );
+      return;
+    }
+    this._callbacks.set(name, callback);
+  }
+
+  /**
+   * Adds a handler for a lifecycle event of the instances created by `observe()`.
+   * Handlers receive `{ event, name, type, targets, instance }`; 'sync' events also have the `master` name.
+   * @param {string} event - 'create', 'enter', 'leave', 'complete', 'kill' or 'sync'.
+   * @param {Function} handler - The function called with the event.
+   * @returns {Function|undefined} A function removing the handler.
+   */
+  on(event, handler) {
+    if (
+      !this.constructor._events.includes(event) ||
+      typeof handler !== "function"
+    ) {
+      console.error(
+        `AnimeHelper.on() requires one of ${this.constructor._events.join(
+          ", "
+        )} and a function.`
+      );
+      return;
+    }
+    if (!this._listeners.has(event)) this._listeners.set(event, new Set());
+    this._listeners.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Removes a lifecycle event handler added with `on()`.
+   * @param {string} event - The event name.
+   * @param {Function} handler - The handler to remove.
+   */
+  off(event, handler) {
+    this._listeners.get(event)?.delete(handler);
+  }
+
+  /**
+   * Calls the handlers of a lifecycle event. A handler throwing doesn't stop the other handlers or the animation.
+   * @private
+   * @param {string} event - The event name.
+   * @param {string} name - The registry name of the instance.
+   * @param {object} [details] - Additional event properties, which override the registry information.
+   */
+  _emit(event, name, details = {}) {
+    const handlers = this._listeners.get(event);
+    if (!handlers || handlers.size === 0) return;
+
+    const { type, targets } = this._instanceInfo.get(name) || {};
+    const payload = {
+      event,
+      name,
+      type,
+      targets,
+      instance: this._instances.get(name),
+      ...details,
+    };
+    handlers.forEach((handler) => {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(
+          `AnimeHelper: A "${event}" handler threw an error.`,
+          error
+        );
+      }
+    });
+  }
+
+  /**
+   * Validates an `observe()` call without creating anything.
+   * Checks unknown keys, value types, unresolvable selectors, unknown presets and types,
+   * and the consistency of `splitBy`, `timelineParams.steps`, `pinParams.duration` and `type: 'scope'`.
+   * @static
+   * @param {string|HTMLElement|Array<HTMLElement>|null} targets - The targets that would be passed to `observe()`.
+   * @param {object} config - The configuration object that would be passed to `observe()`.
+   * @returns {Array<{path: string, severity: string, message: string}>} The diagnostics found, empty when the config is valid.
+   * Severity is `'error'` for configs that can't work as intended and `'warning'` for suspicious ones.
+   */
+  static validate(targets, config) {
+    const diagnostics = [];
+    const report = (path, severity, message) =>
+      diagnostics.push({ path, severity, message });
+
+    if (!config || typeof config !== "object") {
+      report("", "error", "observe() expects a configuration object.");
+      return diagnostics;
+    }
+
+    const customType = this._customTypes.get(config.type);
+    this.#validateObject(
+      config,
+      customType
+        ? { ...this._configSchema, ...customType.schema }
+        : this._configSchema,
+      "",
+      report,
+      !!config.preset
+    );
+
+    if (config.responsive && typeof config.responsive === "object") {
+      Object.entries(config.responsive).forEach(([query, overrides]) => {
+        const path = `responsive["${query}"]`;
+        if (!overrides || typeof overrides !== "object") {
+          report(path, "error", "Expected an object of config overrides.");
+          return;
+        }
+        this.#validateObject(overrides, this._configSchema, path, report, true);
+      });
+    }
+
+    const type = config.type || "default";
+    if (!this._configTypes.includes(type) && !customType) {
+      report(
+        "type",
+        "error",
+        `Unknown type "${type}". Expected one of ${[
+          ...this._configTypes,
+          ...this._customTypes.keys(),
+        ].join(", ")}.`
+      );
+    }
+
+    if (targets === null || targets === undefined) {
+      if (!["timeline", "scope"].includes(type)) {
+        report("targets", "error", `type "${type}" requires targets.`);
+      }
+    } else {
+      this.#validateTargets(targets, "targets", report, "error");
+    }
+
+    this.#validatePresets(config.preset, "preset", report);
+
+    if (type === "scope" && typeof config.run !== "function") {
+      report("run", "error", 'type "scope" requires a "run" function.');
+    }
+
+    if (config.animationTarget) {
+      this.#validateTargets(config.animationTarget, "animationTarget", report);
+    }
+
+    if (config.pin) {
+      const { duration, target } = config.pinParams || {};
+      if (
+        typeof duration === "string" &&
+        duration !== "auto" &&
+        !this._parsePinDuration(duration)
+      ) {
+        report(
+          "pinParams.duration",
+          "error",
+          `Could not parse the pin duration "${duration}".`
+        );
+      }
+      if (target) this.#validateTargets(target, "pinParams.target", report);
+    }
+
+    if (type === "splitText") {
+      const { effect, order } = config.splitParams || {};
+      if (effect && !this._textEffects.includes(effect)) {
+        report(
+          "splitParams.effect",
+          "error",
+          `Unknown text effect "${effect}". Expected one of ${this._textEffects.join(
+            ", "
+          )}.`
+        );
+      }
+      if (order && !(order in this._staggerOrders)) {
+        report(
+          "splitParams.order",
+          "error",
+          `Unknown order "${order}". Expected one of ${Object.keys(
+            this._staggerOrders
+          ).join(", ")}.`
+        );
+      }
+      const splitBy = config.splitBy || "words";
+      const splitTypes = ["chars", "words", "lines"];
+      [].concat(splitBy).forEach((value, index) => {
+        if (!splitTypes.includes(value)) {
+          report(
+            Array.isArray(splitBy) ? `splitBy[${index}]` : "splitBy",
+            "error",
+            `Unknown split type "${value}". Expected one of ${splitTypes.join(
+              ", "
+            )}.`
+          );
+        }
+      });
+      if (Array.isArray(splitBy)) {
+        const steps = config.timelineParams?.steps;
+        if (!Array.isArray(steps) || steps.length !== splitBy.length) {
+          report(
+            "timelineParams.steps",
+            "error",
+            `Expected ${splitBy.length} steps to match "splitBy", got ${
+              Array.isArray(steps) ? steps.length : 0
+            }.`
+          );
+        }
+        const splitOptions = config.splitParams?.splitOptions;
+        if (!Array.isArray(splitOptions) || splitOptions.length === 0) {
+          report(
+            "splitParams.splitOptions",
+            "error",
+            'When "splitBy" is an array, "splitOptions" must be a non-empty array.'
+          );
+        }
+      }
+    }
+
+    if (config.trigger && typeof config.trigger === "object") {
+      const { mode, target } = config.trigger;
+      if (mode && !this._triggerModes.includes(mode)) {
+        report(
+          "trigger.mode",
+          "error",
+          `Unknown trigger mode "${mode}". Expected one of ${this._triggerModes.join(
+            ", "
+          )}.`
+        );
+      }
+      if (target) this.#validateTargets(target, "trigger.target", report);
+    }
+
+    if (config.inputs) {
+      [].concat(config.inputs).forEach((input, index) => {
+        const path = Array.isArray(config.inputs)
+          ? `inputs[${index}]`
+          : "inputs";
+        const source = input?.source || "pointer";
+        if (!(source in this._inputSources)) {
+          report(
+            `${path}.source`,
+            "error",
+            `Unknown input source "${source}". Expected one of ${Object.keys(
+              this._inputSources
+            ).join(", ")}.`
+          );
+        }
+        const smoothing = input?.smoothing;
+        if (
+          smoothing !== undefined &&
+          !(typeof smoothing === "number" && smoothing >= 0 && smoothing <= 1)
+        ) {
+          report(
+            `${path}.smoothing`,
+            "warning",
+            'Expected a factor between 0 and 1. Use "duration" for a duration in milliseconds.'
+          );
+        }
+      });
+    }
+
+    if (type === "timeline" && Array.isArray(config.steps)) {
+      config.steps.forEach((step, index) => {
+        const path = `steps[${index}]`;
+        if (!step || (!step.target && !step.instance)) {
+          report(path, "error", 'A step requires a "target" or an "instance".');
+        } else if (step.target && !Array.isArray(step.target)) {
+          this.#validateTargets(step.target, `${path}.target`, report);
+        }
+        this.#validatePresets(step?.preset, `${path}.preset`, report);
+      });
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * Retrieves a stored animation instance by its name.
+   * @param {string} instanceName - The `name` option or the string selector used to create the animation.
+   * @returns {object|undefined} The anime.js animation instance.
+   */
+  get(instanceName) {
+    return this._instances.get(instanceName);
+  }
+
+  /**
+   * Waits for an instance to be registered, e.g. when it's created by another module or by `init()`.
+   * The promise resolves with `{ name, instance }` rather than the instance, since anime.js instances
+   * are thenables that would make it wait for the animation to complete.
+   * @param {string} instanceName - The `name` option or the string selector of the instance.
+   * @returns {Promise<{name: string, instance: object}>} A promise resolved once the instance exists.
+   */
+  whenReady(instanceName) {
+    const instance = this.get(instanceName);
+    if (instance) return Promise.resolve({ name: instanceName, instance });
+
+    return new Promise((resolve) => {
+      const off = this.on("create", ({ name }) => {
+        const created = name === instanceName && this.get(name);
+        if (!created) return;
+        off();
+        resolve({ name, instance: created });
+      });
+    });
+  }
+
+  /**
+   * Retrieves the entire map of stored animation instances.
+   * @returns {Map<string, object>} The map of all named instances.
+   */
+  getAll() {
+    return this._instances;
+  }
+
+  /**
+   * Reverts a specific animation instance to its original state and removes it from the registry.
+   * @param {string} instanceName - The name of the instance to kill.
+   */
+  kill(instanceName) {
+    AnimeHelper.#assignMethodToAnimation(this.get(instanceName), "revert");
+  }
+
+  /**
+   * Reverts all stored animation instances.
+   */
+  killAll() {
+    AnimeHelper.#assignMethodToAnimation(this.getAll(), "revert");
+  }
+
+  /**
+   * Plays a specific animation instance.
+   * @param {string} instanceName - The name of the instance to play.
+   * @returns {Promise<void>} A promise resolved when the instance finishes or is killed.
+   */
+  play(instanceName) {
+    AnimeHelper.#assignMethodToAnimation(this.get(instanceName), "play");
+    return this._whenFinished(instanceName);
+  }
+
+  /**
+   * Plays all stored animation instances.
+   * @returns {Promise<void>} A promise resolved when all the instances finish or are killed.
+   */
+  playAll() {
+    const instances = new Map(this.getAll());
+    AnimeHelper.#assignMethodToAnimation(instances, "play");
+    return this._whenAllFinished(instances);
+  }
+
+  /**
+   * Pauses a specific animation instance.
+   * @param {string} instanceName - The name of the instance to pause.
+   */
+  pause(instanceName) {
+    AnimeHelper.#assignMethodToAnimation(this.get(instanceName), "pause");
+  }
+
+  /**
+   * Pauses all stored animation instances.
+   */
+  pauseAll() {
+    AnimeHelper.#assignMethodToAnimation(this.getAll(), "pause");
+  }
+
+  /**
+   * Resumes a specific animation instance.
+   * @param {string} instanceName - The name of the instance to resume.
+   * @returns {Promise<void>} A promise resolved when the instance finishes or is killed.
+   */
+  resume(instanceName) {
+    AnimeHelper.#assignMethodToAnimation(this.get(instanceName), "resume");
+    return this._whenFinished(instanceName);
+  }
+
+  /**
+   * Resumes all stored animation instances.
+   * @returns {Promise<void>} A promise resolved when all the instances finish or are killed.
+   */
+  resumeAll() {
+    const instances = new Map(this.getAll());
+    AnimeHelper.#assignMethodToAnimation(instances, "resume");
+    return this._whenAllFinished(instances);
+  }
+
+  /**
+   * Restarts a specific animation instance.
+   * @param {string} instanceName - The name of the instance to restart.
+   * @returns {Promise<void>} A promise resolved when the instance finishes or is killed.
+   */
+  restart(instanceName) {
+    AnimeHelper.#assignMethodToAnimation(this.get(instanceName), "restart");
+    return this._whenFinished(instanceName);
+  }
+
+  /**
+   * Restarts all stored animation instances.
+   * @returns {Promise<void>} A promise resolved when all the instances finish or are killed.
+   */
+  restartAll() {
+    const instances = new Map(this.getAll());
+    AnimeHelper.#assignMethodToAnimation(instances, "restart");
+    return this._whenAllFinished(instances);
+  }
+
+  /**
+   * Retrieves the stored animation instances belonging to a group.
+   * @param {string} groupName - A `group` or one of the `tags` given to the instances.
+   * @returns {Map<string, object>} The map of the group's instances, keyed by name.
+   */
+  getGroup(groupName) {
+    const group = new Map();
+    this._instanceInfo.forEach(({ name, groups }) => {
+      if (groups.includes(groupName))
+        group.set(name, this._instances.get(name));
+    });
+    return group;
+  }
+
+  /**
+   * Plays all animation instances of a group.
+   * @param {string} groupName - The group or tag of the instances to play.
+   * @returns {Promise<void>} A promise resolved when all the instances finish or are killed.
+   */
+  playGroup(groupName) {
+    const instances = this.getGroup(groupName);
+    AnimeHelper.#assignMethodToAnimation(instances, "play");
+    return this._whenAllFinished(instances);
+  }
+
+  /**
+   * Pauses all animation instances of a group.
+   * @param {string} groupName - The group or tag of the instances to pause.
+   */
+  pauseGroup(groupName) {
+    AnimeHelper.#assignMethodToAnimation(this.getGroup(groupName), "pause");
+  }
+
+  /**
+   * Resumes all animation instances of a group.
+   * @param {string} groupName - The group or tag of the instances to resume.
+   * @returns {Promise<void>} A promise resolved when all the instances finish or are killed.
+   */
+  resumeGroup(groupName) {
+    const instances = this.getGroup(groupName);
+    AnimeHelper.#assignMethodToAnimation(instances, "resume");
+    return this._whenAllFinished(instances);
+  }
+
+  /**
+   * Restarts all animation instances of a group.
+   * @param {string} groupName - The group or tag of the instances to restart.
+   * @returns {Promise<void>} A promise resolved when all the instances finish or are killed.
+   */
+  restartGroup(groupName) {
+    const instances = this.getGroup(groupName);
+    AnimeHelper.#assignMethodToAnimation(instances, "restart");
+    return this._whenAllFinished(instances);
+  }
+
+  /**
+   * Reverts all animation instances of a group and removes them from the registry.
+   * @param {string} groupName - The group or tag of the instances to kill.
+   */
+  killGroup(groupName) {
+    AnimeHelper.#assignMethodToAnimation(this.getGroup(groupName), "revert");
+  }
+
+  /* ========================== HELPER FUNCTIONS ================================ */
+
+  /**
+   * Waits for a registered instance to complete or be killed. Instances that never complete (infinite loops,
+   * scopes, animatables) and completed ones resolve right away, and groups wait for each of their instances.
+   * @private
+   * @param {string} instanceName - The registry name of the instance.
+   * @returns {Promise<void>} A promise resolved without a value, since anime.js instances are thenables.
+   */
+  _whenFinished(instanceName) {
+    const instance = this._instances.get(instanceName);
+    if (Array.isArray(instance?.names)) {
+      return this._whenAllFinished(
+        new Map(instance.names.map((name) => [name, undefined]))
+      );
+    }
+    if (
+      !instance ||
+      instance.completed ||
+      typeof instance.onComplete !== "function" ||
+      instance.iterationCount === Infinity
+    ) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      const finish = () => {
+        offComplete();
+        offKill();
+        resolve();
+      };
+      const offComplete = this.on("complete", (event) => {
+        if (
+          event.name === instanceName &&
+          event.instance === this._instances.get(instanceName)
+        ) {
+          finish();
+        }
+      });
+      const offKill = this.on("kill", (event) => {
+        if (event.name === instanceName && !this._instances.has(instanceName)) {
+          finish();
+        }
+      });
+    });
+  }
+
+  /**
+   * Waits for every instance of a map to complete or be killed.
+   * @private
+   * @param {Map<string, object>} instances - The instances, keyed by registry name.
+   * @returns {Promise<void>} A promise resolved once all the instances are finished.
+   */
+  _whenAllFinished(instances) {
+    return Promise.all(
+      [...instances.keys()].map((name) => this._whenFinished(name))
+    ).then(() => {});
+  }
+
+  /**
+   * A private static helper to apply a method to a single instance or a map of instances.
+   * @private
+   * @static
+   * @param {object|Map<string, object>} instance - The animation instance or a Map of instances.
+   * @param {string} method - The name of the method to call (e.g., 'play', 'pause').
+   */
+  static #assignMethodToAnimation(instance, method) {
+    if (!instance) return;
+
+    if (instance instanceof Map) {
+      instance.forEach((animation) => {
+        if (animation && typeof animation[method] === "function") {
+          animation[method]();
+        }
+      });
+      return;
+    }
+
+    if (instance && typeof instance[method] === "function") {
+      instance[method]();
+    }
+  }
+
+  /**
+   * Validates the keys and value types of a config object against a schema.
+   * @private
+   * @static
+   * @param {object} value - The object to validate.
+   * @param {Object.<string, string|object>} schema - The schema of the object.
+   * @param {string} path - The path of the object in the config, '' for the root.
+   * @param {Function} report - Adds a diagnostic: `(path, severity, message)`.
+   * @param {boolean} allowUnknown - Whether unknown keys are expected (e.g. options read by a preset).
+   */
+  static #validateObject(value, schema, path, report, allowUnknown) {
+    const knownKeys = Object.keys(schema);
+    Object.entries(value).forEach(([key, propValue]) => {
+      const propPath = path ? `${path}.${key}` : key;
+      const spec = schema[key];
+
+      if (!spec) {
+        const maxDistance = key.length > 4 ? 2 : 1;
+        const suggestion = knownKeys.find(
+          (knownKey) => this.#editDistance(key, knownKey) <= maxDistance
+        );
+        if (suggestion) {
+          report(
+            propPath,
+            "error",
+            `Unknown option "${key}". Did you mean "${suggestion}"?`
+          );
+        } else if (!allowUnknown) {
+          report(propPath, "warning", `Unknown option "${key}".`);
+        }
+        return;
+      }
+
+      const expected = (typeof spec === "string" ? spec : spec.type).split("|");
+      if (propValue === undefined || this.#matchesType(propValue, expected)) {
+        if (spec.keys && propValue) {
+          this.#validateObject(propValue, spec.keys, propPath, report, false);
+        }
+        if (spec.items && Array.isArray(propValue)) {
+          propValue.forEach((item, index) => {
+            if (item && typeof item === "object") {
+              this.#validateObject(
+                item,
+                spec.items,
+                `${propPath}[${index}]`,
+                report,
+                !!item.preset
+              );
+            }
+          });
+        }
+        return;
+      }
+
+      report(
+        propPath,
+        "error",
+        `Expected ${expected.join(" or ")}, got ${
+          Array.isArray(propValue) ? "array" : typeof propValue
+        }.`
+      );
+    });
+  }
+
+  /**
+   * Checks that every preset of a `preset` option (a name or an array of names) is registered.
+   * @private
+   * @static
+   * @param {string|Array<string>|undefined} preset - The preset option.
+   * @param {string} path - The path of the option in the config.
+   * @param {Function} report - Adds a diagnostic: `(path, severity, message)`.
+   */
+  static #validatePresets(preset, path, report) {
+    if (!preset) return;
+    [].concat(preset).forEach((name, index) => {
+      if (!this._presets[name]) {
+        report(
+          Array.isArray(preset) ? `${path}[${index}]` : path,
+          "error",
+          `Unknown preset "${name}".`
+        );
+      }
+    });
+  }
+
+  /**
+   * Checks a value against a list of schema type names.
+   * @private
+   * @static
+   * @param {*} value - The value to check.
+   * @param {Array<string>} types - The accepted types ('string', 'array', 'target', ...).
+   * @returns {boolean} Whether the value matches one of the types.
+   */
+  static #matchesType(value, types) {
+    return types.some((type) => {
+      switch (type) {
+        case "array":
+          return Array.isArray(value);
+        case "object":
+          return (
+            value !== null && typeof value === "object" && !Array.isArray(value)
+          );
+        case "target":
+          return (
+            value === null ||
+            typeof value === "string" ||
+            typeof value === "object"
+          );
+        default:
+          return typeof value === type;
+      }
+    });
+  }
+
+  /**
+   * Checks that a target (selector, element or list) resolves to at least one element.
+   * Selector checks are skipped outside of a browser environment.
+   * @private
+   * @static
+   * @param {*} targets - The targets to check.
+   * @param {string} path - The path of the targets in the config.
+   * @param {Function} report - Adds a diagnostic: `(path, severity, message)`.
+   * @param {string} [severity='warning'] - The severity used when nothing matches.
+   */
+  static #validateTargets(targets, path, report, severity = "warning") {
+    if (typeof targets !== "string") {
+      if (targets && typeof targets.length === "number" && !targets.length) {
+        report(path, severity, "The target list is empty.");
+      }
+      return;
+    }
+    if (typeof document === "undefined") return;
+    try {
+      if (document.querySelectorAll(targets).length === 0) {
+        report(path, severity, `No element matches the selector "${targets}".`);
+      }
+    } catch (error) {
+      report(path, "error", `Invalid selector "${targets}".`);
+    }
+  }
+
+  /**
+   * Describes targets for messages: a selector as is, and an element by its tag, id and classes (e.g. 'div#hero.banner').
+   * @private
+   * @static
+   * @param {string|HTMLElement|Array<HTMLElement>|NodeList|null} targets - The targets to describe.
+   * @returns {string} The description.
+   */
+  static _describeTargets(targets) {
+    if (typeof targets === "string" || !targets) return String(targets);
+    if (typeof targets.length === "number" && !targets.nodeType) {
+      if (targets.length === 0) return "an empty list";
+      const first = this._describeTargets(targets[0]);
+      return targets.length > 1
+        ? `${first} and ${targets.length - 1} more`
+        : first;
+    }
+    if (!targets.tagName) return String(targets);
+    const id = targets.id ? `#${targets.id}` : "";
+    const classes = [...(targets.classList || [])]
+      .map((className) => `.${className}`)
+      .join("");
+    return `${targets.tagName.toLowerCase()}${id}${classes}`;
+  }
+
+  /**
+   * Computes the case-insensitive edit distance between two strings, used to suggest misspelled keys.
+   * @private
+   * @static
+   * @param {string} a - The first string.
+   * @param {string} b - The second string.
+   * @returns {number} The edit distance, counting swapped adjacent letters as a single edit.
+   */
+  static #editDistance(a, b) {
+    const source = a.toLowerCase();
+    const target = b.toLowerCase();
+    const distances = Array.from({ length: source.length + 1 }, (_, i) =>
+      Array.from({ length: target.length + 1 }, (_, j) => (i === 0 ? j : i))
+    );
+    for (let i = 1; i <= source.length; i++) {
+      for (let j = 1; j <= target.length; j++) {
+        const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+        distances[i][j] = Math.min(
+          distances[i - 1][j] + 1,
+          distances[i][j - 1] + 1,
+          distances[i - 1][j - 1] + cost
+        );
+        if (
+          i > 1 &&
+          j > 1 &&
+          source[i - 1] === target[j - 2] &&
+          source[i - 2] === target[j - 1]
+        ) {
+          distances[i][j] = Math.min(
+            distances[i][j],
+            distances[i - 2][j - 2] + 1
+          );
+        }
+      }
+    }
+    return distances[source.length][target.length];
+  }
+
+  /**
+   * Converts a stagger option into an anime.js stagger function. The option is a delay in milliseconds,
+   * a `[start, end]` range, a function used as is, or `{ value, ...staggerParams }` with anime.js stagger
+   * parameters such as `from`, `grid`, `axis` or `ease`. `grid: 'auto'` is measured from the targets' layout.
+   * @param {number|string|Array|object|Function} value - The stagger option.
+   * @param {object} [staggerParams] - Default anime.js stagger parameters (e.g. `{ from: 'center' }`), overridden by the option's own.
+   * @param {Array<HTMLElement>} [targets] - The staggered elements, measured for `grid: 'auto'`.
+   * @returns {Function} An anime.js stagger function.
+   * @private
+   */
+  _delayToStagger(value, staggerParams, targets) {
+    if (typeof value === "function") return value;
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      const { value: delay = 0, ...options } = value;
+      return this._delayToStagger(
+        delay,
+        { ...staggerParams, ...options },
+        targets
+      );
+    }
+    if (staggerParams?.grid !== "auto") {
+      return this._anime.stagger(value, staggerParams);
+    }
+    const { grid, ...params } = staggerParams;
+    return this._anime.stagger(
+      value,
+      targets?.length
+        ? { ...params, grid: this._getGridLayout(targets) }
+        : params
+    );
+  }
+
+  /**
+   * Works out the columns and rows of elements laid out in a grid (e.g. cards, or split chars wrapping
+   * over lines), from the number of elements in the first row.
+   * @param {Array<HTMLElement>} elements - The elements, in document order.
+   * @returns {Array<number>} The `[columns, rows]` of an anime.js grid stagger.
+   * @private
+   */
+  _getGridLayout(elements) {
+    const first = elements[0].getBoundingClientRect();
+    const nextRow = elements.findIndex(
+      (el) => el.getBoundingClientRect().top >= first.top + first.height / 2
+    );
+    const columns = nextRow > 0 ? nextRow : elements.length;
+    return [columns, Math.ceil(elements.length / columns)];
+  }
+
+  /**
+   * Converts a `splitParams.order` value into anime.js stagger parameters.
+   * @param {string} [order='start'] - 'start', 'end', 'center', 'edges' or 'random'.
+   * @returns {object|undefined} The stagger parameters.
+   * @private
+   */
+  _getStaggerOrder(order = "start") {
+    return this.constructor._staggerOrders[order];
+  }
+
+  /**
+   * Combines optional callbacks into one that calls each of them with the same arguments.
+   * @param {...(Function|undefined)} callbacks - The callbacks to combine.
+   * @returns {Function|undefined} The combined callback, or undefined if none is a function.
+   * @private
+   */
+  _chainCallbacks(...callbacks) {
+    const fns = callbacks.filter((fn) => typeof fn === "function");
+    if (fns.length <= 1) return fns[0];
+    return (...args) => fns.forEach((fn) => fn(...args));
+  }
+
+  /**
+   * Retrieves a preset animation configuration object.
+   * @param {string|Array<string>} preset - The name of the preset, or an array of names merged in order.
+   * @param {object} config - The user's main configuration object.
+   * @returns {object} The preset's parameter object.
+   * @private
+   */
+  _getPreset(preset, config) {
+    const presetParams = this.constructor._resolvePreset(preset, config);
+    return this._getMotion(config) === "full"
+      ? presetParams
+      : this._reduceParams(presetParams);
+  }
+
+  /**
+   * Generates the params of a preset, or of several presets merged in order. Unknown names are ignored.
+   * @param {string|Array<string>|undefined} preset - The name of the preset, or an array of names.
+   * @param {object} config - The configuration object passed to the preset generators.
+   * @returns {object} The merged anime.js parameters.
+   * @private
+   * @static
+   */
+  static _resolvePreset(preset, config) {
+    return [].concat(preset || []).reduce((params, name) => {
+      const generator = this._presets[name];
+      return generator ? { ...params, ...generator(config) } : params;
+    }, {});
+  }
+
+  /**
+   * Turns a preset definition object into a generator function. The presets it extends are resolved
+   * when the preset is used, so they can be redefined later.
+   * @param {{extends?: string|Array<string>, options?: object, params?: object|Function}} definition - The preset definition.
+   * @returns {Function} The preset generator.
+   * @private
+   * @static
+   */
+  static _compilePreset({ extends: base, options = {}, params = {} }) {
+    return (config) => {
+      const presetConfig = { ...options, ...config };
+      return {
+        ...this._resolvePreset(base, presetConfig),
+        ...(typeof params === "function" ? params(presetConfig) : params),
+      };
+    };
+  }
+
+  /**
+   * Negates a length given in pixels or as a CSS length string (e.g. '1em' becomes '-1em').
+   * @param {number|string} length - The length to negate.
+   * @returns {number|string} The negated length, or the original value if it can't be parsed.
+   * @private
+   * @static
+   */
+  static _negateLength(length) {
+    if (typeof length === "number") return -length;
+    const parsed = this._parseCssValue(length);
+    return parsed ? `${-parsed.value}${parsed.unit}` : length;
+  }
+
+  /**
+   * Creates the translate values moving an element in from one side.
+   * @param {string} from - The side the element comes from: 'top', 'bottom', 'left' or 'right'.
+   * @param {number|string} distance - The distance, in pixels or as a CSS length (e.g. '1em', '100%').
+   * @returns {object} An anime.js params object with a `translateX` or `translateY` property.
+   * @private
+   * @static
+   */
+  static _directionalOffset(from, distance) {
+    const negativeDistance = this._negateLength(distance);
+    const offsets = {
+      top: { translateY: [negativeDistance, 0] },
+      bottom: { translateY: [distance, 0] },
+      left: { translateX: [negativeDistance, 0] },
+      right: { translateX: [distance, 0] },
+    };
+    return offsets[from] || offsets.bottom;
+  }
+
+  /**
+   * Resolves the motion policy that applies to a configuration.
+   * A config's own `motion` key takes precedence over the helper's policy.
+   * @param {object} [config] - The configuration object.
+   * @returns {string} The motion policy: 'full', 'reduced' or 'none'.
+   * @private
+   */
+  _getMotion(config) {
+    return config?.motion || this.motionPolicy;
+  }
+
+  /**
+   * Removes the properties that move elements from an anime.js params object, keeping e.g. opacity fades.
+   * @param {object} params - The anime.js parameters.
+   * @returns {object} A new parameters object without transform properties.
+   * @private
+   */
+  _reduceParams(params) {
+    const reducedParams = { ...params };
+    this.constructor._transformProperties.forEach((prop) => {
+      delete reducedParams[prop];
+    });
+    return reducedParams;
+  }
+
+  /**
+   * Makes an anime.js params object jump straight to its end state.
+   * @param {object} params - The anime.js parameters.
+   * @returns {object} A new parameters object without duration, delay or loops.
+   * @private
+   */
+  _instantParams(params) {
+    return { ...params, duration: 0, delay: 0, loop: false };
+  }
+
+  /**
+   * Pauses a timeline and seeks it to its end state.
+   * @param {object} timeline - The anime.js timeline instance.
+   * @returns {object} The same timeline instance.
+   * @private
+   */
+  _jumpToEnd(timeline) {
+    if (typeof timeline.pause === "function") timeline.pause();
+    if (typeof timeline.seek === "function") timeline.seek(timeline.duration);
+    return timeline;
+  }
+
+  /**
+   * Parses a CSS value string into a number and unit.
    * @param {string} cssValue - The CSS value to parse (e.g., '100vh', '-50px').
    * @returns {{value: number, unit: string}|null} An object with the value and unit.
    * @private
+   * @static
+   */
+  static _parseCssValue(cssValue) {
+    if (typeof cssValue !== "string") return null;
+    const match = cssValue.match(/^(\-?[\d\.]+)([a-z%]*)$/i);
+    if (match) {
+      const [, value, unit] = match;
+      return { value: parseFloat(value), unit: unit || "" };
+    }
+    return null;
+  }
+
+  /**
+   * Parses a `pinParams.duration` value. It is either absolute (e.g. '200vh'), or relative to the track's
+   * natural height: '+=' and '-=' add or remove a length in px, vh or % (of the track), '*=' multiplies it.
+   * Absolute durations are assigned to the track as they are, so any CSS height (e.g. 'calc(100vh + 200px)') is accepted.
+   * @param {string} duration - The pin duration.
+   * @returns {{operator: string|null, value: number|null, unit: string|null}|null} The parsed duration (without value
+   * and unit for absolute CSS functions), or null if a relative duration can't be parsed.
+   * @private
+   * @static
+   */
+  static _parsePinDuration(duration) {
+    if (typeof duration !== "string") return null;
+    const match = duration.trim().match(/^([+\-*]=)?\s*(.*)$/);
+    const parsedValue = this._parseCssValue(match[2]);
+    const operator = match[1] || null;
+    if (!operator) return { operator, value: null, unit: null, ...parsedValue };
+    if (!parsedValue) return null;
+    if (operator === "*=" && parsedValue.unit) return null;
+    if (!this._pinDurationUnits.includes(parsedValue.unit)) return null;
+    return { operator, ...parsedValue };
+  }
+
+  /**
+   * Computes the height of a pin track from a relative duration.
+   * @param {{operator: string, value: number, unit: string}} duration - The parsed relative duration.
+   * @param {number} baseHeight - The natural height of the track in pixels.
+   * @returns {number} The new height in pixels.
+   * @private
+   */
+  _getRelativePinHeight({ operator, value, unit }, baseHeight) {
+    if (operator === "*=") return baseHeight * value;
+    let length = value;
+    if (unit === "vh") length = (value * window.innerHeight) / 100;
+    if (unit === "%") length = (value * baseHeight) / 100;
+    return Math.max(
+      0,
+      operator === "-=" ? baseHeight - length : baseHeight + length
+    );
+  }
+
+  /**
+   * Saves the inline values of some style properties so they can be restored later.
+   * @param {HTMLElement} element - The element whose styles will be changed.
+   * @param {Array<string>} properties - The CSS properties to save (e.g. 'position', 'top').
+   * @returns {Function} A function restoring the saved inline values.
+   * @private
+   */
+  _saveInlineStyles(element, properties) {
+    const savedStyles = properties.map((prop) => [
+      prop,
+      element.style.getPropertyValue(prop),
+      element.style.getPropertyPriority(prop),
+    ]);
+    return () => {
+      savedStyles.forEach(([prop, value, priority]) => {
+        if (value) {
+          element.style.setProperty(prop, value, priority);
+        } else {
+          element.style.removeProperty(prop);
+        }
+      });
+    };
+  }
+
+  /**
+   * Saves the values of some attributes so they can be restored later.
+   * @param {HTMLElement} element - The element whose attributes will be changed.
+   * @param {Array<string>} attributes - The attribute names (e.g. 'tabindex', 'role').
+   * @returns {Function} A function restoring the saved values, and removing the attributes that weren't set.
+   * @private
+   */
+  _saveAttributes(element, attributes) {
+    const savedAttributes = attributes.map((attribute) => [
+      attribute,
+      element.getAttribute(attribute),
+    ]);
+    return () => {
+      savedAttributes.forEach(([attribute, value]) => {
+        if (value === null) {
+          element.removeAttribute(attribute);
+        } else {
+          element.setAttribute(attribute, value);
+        }
+      });
+    };
+  }
+
+  /**
+   * Registers a function to run after an instance is reverted (e.g. by `AnimeHelper.kill()`).
+   * The instance's `revert()` method is wrapped the first time a cleanup is added.
+   * @param {object} instance - The anime.js instance.
+   * @param {Function} cleanup - The function to run after the instance is reverted. It receives the reverted instance.
+   * @private
+   */
+  _onRevert(instance, cleanup) {
+    instance = AnimeHelper._instanceHandles.get(instance)?.() ?? instance;
+    const cleanupsMap = AnimeHelper._revertCleanups;
+    if (!cleanupsMap.has(instance)) {
+      const cleanups = [];
+      const revert = instance.revert;
+      instance.revert = function (...args) {
+        const result =
+          typeof revert === "function" ? revert.apply(this, args) : this;
+        cleanups.splice(0).forEach((fn) => fn(this));
+        return result;
+      };
+      cleanupsMap.set(instance, cleanups);
+    }
+    cleanupsMap.get(instance).push(cleanup);
+  }
+
+  /**
+   * Resolves the registry name of an instance: the `name` option, the string selector,
+   * or a generated name (e.g. 'timeline-3') for element or null targets.
+   * @param {string|HTMLElement|Array<HTMLElement>|null} targets - The targets passed to `observe()`.
+   * @param {object} config - The configuration object.
+   * @returns {string} The instance name.
+   * @private
+   */
+  _getInstanceName(targets, config) {
+    if (config.name) return config.name;
+    if (typeof targets === "string") return targets;
+    return `${config.type || "default"}-${++this.constructor._instanceCount}`;
+  }
+
+  /**
+   * Finds the registry name of an instance.
+   * @param {object} instance - The anime.js instance.
+   * @returns {string|undefined} The instance name, or undefined if the instance isn't registered.
+   * @private
+   */
+  _getRegistryName(instance) {
+    instance = AnimeHelper._instanceHandles.get(instance)?.() ?? instance;
+    for (const [name, registered] of this._instances) {
+      if (registered === instance) return name;
+    }
+  }
+
+  /**
+   * Stores an instance in the registry and removes it again once it is reverted.
+   * @param {string} name - The instance name.
+   * @param {object} instance - The anime.js instance.
+   * @param {{type: string, targets: *, groups: Array<string>, config: object}} info - Information about the instance.
+   * @private
+   */
+  _registerInstance(name, instance, info) {
+    const { _instances: instances, _instanceInfo: instanceInfo } = this;
+    instances.set(name, instance);
+    instanceInfo.set(name, { name, ...info });
+    this._ownInstances.add(instance);
+    this._emitOnComplete(name, instance);
+    // Compared with the reverted instance, which differs from `instance` once it was rebuilt (see `_replaceInstance()`).
+    this._onRevert(instance, (revertedInstance) => {
+      this._ownInstances.delete(revertedInstance);
+      if (instances.get(name) !== revertedInstance) return;
+      const { type, targets } = instanceInfo.get(name);
+      instances.delete(name);
+      instanceInfo.delete(name);
+      this._emit("kill", name, {
+        type,
+        targets,
+        instance: revertedInstance,
+      });
+    });
+  }
+
+  /**
+   * Emits the 'complete' lifecycle event when an instance completes, keeping its own `onComplete` callback.
+   * Instances without completion (e.g. scopes) are left untouched.
+   * @param {string} name - The registry name of the instance.
+   * @param {object} instance - The anime.js instance.
+   * @private
+   */
+  _emitOnComplete(name, instance) {
+    const onComplete = instance.onComplete;
+    if (typeof onComplete !== "function") return;
+    instance.onComplete = (self) => {
+      onComplete(self);
+      this._emit("complete", name, { instance: self });
+    };
+  }
+
+  /**
+   * Creates the DOM structure and applies CSS for the pinning effect.
+   * The original inline styles are recorded, and relative durations are recomputed when the track or pinned elements resize.
+   * @param {HTMLElement} parentTarget - The element that will act as the scrollable track.
+   * @param {object} config - The pin configuration from `pinParams`.
+   * @returns {{track: HTMLElement, elements: Array<HTMLElement>, horizontal: object|null, refresh: Function,
+   * updatePanels: Function, revert: Function}|undefined}
+   * A pin controller, whose `revert()` restores the original styles and stops watching for resizes.
+   * @private
+   */
+  _createPin(parentTarget, config) {
+    const resolvedPin = this._resolvePin(parentTarget, config);
+    if (!resolvedPin) return;
+    const {
+      trackElement,
+      pinElements,
+      start,
+      duration,
+      parsedDuration,
+      horizontal,
+    } = resolvedPin;
+
+    const restoreStyles = [
+      ...pinElements.map((el) =>
+        this._saveInlineStyles(el, ["position", "top", "overflow-x"])
+      ),
+      this._saveInlineStyles(trackElement, ["height"]),
+    ];
+    const originalHeight = trackElement.style.height;
+
+    pinElements.forEach((el) => {
+      el.style.position = "sticky";
+      el.style.top = start;
+    });
+    if (horizontal) {
+      // 'clip' keeps the pinned element from becoming a scroll container. 'hidden' stays where it's unsupported.
+      pinElements[0].style.overflowX = "hidden";
+      pinElements[0].style.overflowX = "clip";
+    }
+
+    if (parsedDuration && !parsedDuration.operator && !horizontal) {
+      trackElement.style.height = duration;
+    }
+
+    let resizeObserver;
+    const pin = {
+      track: trackElement,
+      elements: pinElements,
+      horizontal,
+      refresh: () => {
+        if (horizontal) {
+          // Without a pinned `target`, the track is the measured viewport, so its stretched height is cleared first.
+          trackElement.style.height = originalHeight;
+          const { distance, height } = this._measureHorizontalPin(
+            pinElements[0],
+            horizontal.element
+          );
+          horizontal.distance = distance;
+          trackElement.style.height = `${height}px`;
+          pin.onRefresh?.();
+          return;
+        }
+        if (!parsedDuration?.operator) return;
+        // Measure the natural height of the track before stretching it again.
+        trackElement.style.height = originalHeight;
+        const newHeight = this._getRelativePinHeight(
+          parsedDuration,
+          trackElement.offsetHeight
+        );
+        trackElement.style.height = `${newHeight}px`;
+      },
+      // Compares the rendered panels against the pinned element, so it runs after each scroll update.
+      updatePanels: horizontal
+        ? this._createPanelUpdater(pinElements[0], horizontal, config)
+        : () => {},
+      revert: () => {
+        resizeObserver?.disconnect();
+        window.removeEventListener("resize", pin.refresh);
+        restoreStyles.forEach((restore) => restore());
+        this._pins.delete(pin);
+      },
+    };
+
+    pin.refresh();
+    this._pins.add(pin);
+
+    if (parsedDuration?.operator || horizontal) {
+      if (typeof ResizeObserver !== "undefined") {
+        resizeObserver = new ResizeObserver(() => pin.refresh());
+        [trackElement, ...pinElements, horizontal?.element]
+          .filter(Boolean)
+          .forEach((el) => resizeObserver.observe(el));
+      }
+      // The travelled distance depends on the viewport width as well.
+      if (horizontal || parsedDuration.unit === "vh") {
+        window.addEventListener("resize", pin.refresh);
+      }
+    }
+
+    return pin;
+  }
+
+  /**
+   * Lays out a horizontal pin under reduced motion: the section isn't pinned, and the pinned element
+   * scrolls its inner track natively (`overflow-x: auto`). The panels are tracked on that scroll.
+   * @param {HTMLElement} parentTarget - The element that would act as the scrollable track.
+   * @param {object} config - The pin configuration from `pinParams`.
+   * @returns {{track: HTMLElement, elements: Array<HTMLElement>, horizontal: object, static: boolean,
+   * updatePanels: Function, revert: Function}|undefined}
+   * A pin controller, whose `revert()` restores the original styles and removes the scroll listener.
+   * @private
+   */
+  _createStaticPin(parentTarget, config) {
+    const resolvedPin = this._resolvePin(parentTarget, config);
+    if (!resolvedPin) return;
+    const { trackElement, pinElements, horizontal } = resolvedPin;
+    const viewport = pinElements[0];
+
+    const restoreStyles = this._saveInlineStyles(viewport, ["overflow-x"]);
+    viewport.style.overflowX = "auto";
+    const updatePanels = this._createPanelUpdater(
+      viewport,
+      horizontal,
+      config,
+      true
+    );
+    viewport.addEventListener("scroll", updatePanels, { passive: true });
+    updatePanels();
+
+    return {
+      track: trackElement,
+      elements: pinElements,
+      horizontal,
+      static: true,
+      updatePanels,
+      revert: () => {
+        viewport.removeEventListener("scroll", updatePanels);
+        restoreStyles();
+      },
+    };
+  }
+
+  /**
+   * Creates the function tracking the panels of a horizontal pin. It calls `onPanelEnter` and `onPanelLeave`
+   * when a panel starts or stops overlapping the pinned element, and records each panel's progress, from 0
+   * when it enters on the right to 1 when it leaves on the left, in `horizontal.progress`.
+   * @param {HTMLElement} viewport - The pinned element.
+   * @param {object} horizontal - The resolved inner track, with its panels.
+   * @param {object} config - The pin configuration from `pinParams`.
+   * @param {boolean} [isStatic=false] - Whether the track scrolls natively under reduced motion, where every panel's progress is 1.
+   * @returns {Function} The update function.
+   * @private
+   */
+  _createPanelUpdater(viewport, horizontal, config, isStatic = false) {
+    const visiblePanels = new Set();
+    return () => {
+      const bounds = viewport.getBoundingClientRect();
+      horizontal.panels.forEach((panel, index) => {
+        const rect = panel.getBoundingClientRect();
+        const progress = isStatic
+          ? 1
+          : Math.min(
+              1,
+              Math.max(
+                0,
+                (bounds.right - rect.left) / (bounds.width + rect.width || 1)
+              )
+            );
+        if (horizontal.progress[index] !== progress) {
+          horizontal.progress[index] = progress;
+          const timeline = horizontal.timelines?.[index];
+          if (timeline) timeline.progress = progress;
+        }
+
+        const isVisible = rect.left < bounds.right && rect.right > bounds.left;
+        if (isVisible === visiblePanels.has(panel)) return;
+        if (isVisible) {
+          visiblePanels.add(panel);
+          config.onPanelEnter?.(panel, index);
+        } else {
+          visiblePanels.delete(panel);
+          config.onPanelLeave?.(panel, index);
+        }
+      });
+    };
+  }
+
+  /**
+   * Registers a paused timeline for each panel of a horizontal pin, named `<name>-panel-<index>`, whose
+   * progress follows the panel across the pinned element. Nested animations sync with it through `syncWith`.
+   * @param {string} name - The registry name of the pinned instance.
+   * @param {object} pin - The pin controller.
+   * @returns {Function} A function reverting the timelines.
+   * @private
+   */
+  _createPanelTimelines(name, pin) {
+    const { horizontal } = pin;
+    const names = horizontal.panels.map(
+      (panel, index) => `${name}-panel-${index}`
+    );
+    horizontal.timelines = horizontal.panels.map((panel, index) => {
+      const timeline = this._timelineFn({ autoplay: false });
+      timeline.progress = horizontal.progress[index] ?? 0;
+      this._registerInstance(names[index], timeline, {
+        type: "timeline",
+        targets: panel,
+        groups: [],
+      });
+      this._emit("create", names[index]);
+      return timeline;
+    });
+    // A timeline's duration grows with each synced animation, so its progress is applied again.
+    const removeListener = this.on("sync", ({ master }) => {
+      const index = names.indexOf(master);
+      if (index !== -1) {
+        horizontal.timelines[index].progress = horizontal.progress[index] ?? 0;
+      }
+    });
+
+    return () => {
+      removeListener();
+      horizontal.timelines.splice(0).forEach((timeline) => timeline.revert());
+    };
+  }
+
+  /**
+   * Resolves the track and pinned elements of a pin, and parses its duration.
+   * @param {HTMLElement} parentTarget - The element that will act as the scrollable track.
+   * @param {object} config - The pin configuration from `pinParams`.
+   * @returns {{trackElement: HTMLElement, pinElements: Array<HTMLElement>, start: string, duration: string,
+   * parsedDuration: object|null, horizontal: {element: HTMLElement, panels: Array<HTMLElement>, distance: number,
+   * progress: Array<number>}|null}|undefined}
+   * The resolved pin, or undefined if its elements can't be found.
+   * @private
+   */
+  _resolvePin(parentTarget, config) {
+    const { duration = "auto", start = "0px", target } = config;
+    const trackName = this.constructor._describeTargets(parentTarget);
+    const trackElement = this._resolveTargetsFn(parentTarget)[0];
+    if (!trackElement) {
+      console.warn(
+        `AnimeHelper Pin: Could not find the track element "${trackName}".`
+      );
+      return;
+    }
+
+    const pinElements = target
+      ? this._resolveScopedTargets(target, trackElement)
+      : [trackElement];
+
+    if (!pinElements || pinElements.length === 0) {
+      const targetName = this.constructor._describeTargets(target);
+      console.warn(
+        `AnimeHelper Pin: Could not find the pin target "${targetName}" inside "${trackName}".`
+      );
+      return;
+    }
+
+    const parsedDuration =
+      duration === "auto" ? null : this.constructor._parsePinDuration(duration);
+    if (duration !== "auto" && !parsedDuration) {
+      console.warn(
+        `AnimeHelper Pin: Could not parse the duration "${duration}".`
+      );
+    }
+
+    let horizontal = null;
+    if (config.horizontal) {
+      const element =
+        config.horizontal === true
+          ? pinElements[0].firstElementChild
+          : this._resolveScopedTargets(config.horizontal, pinElements[0])[0];
+      if (!element) {
+        console.warn(
+          `AnimeHelper Pin: Could not find the horizontal track inside the pinned element of "${trackName}".`
+        );
+        return;
+      }
+      const panels = config.panels
+        ? this._resolveScopedTargets(config.panels, element)
+        : [...element.children];
+      horizontal = { element, panels, distance: 0, progress: [] };
+    }
+
+    return {
+      trackElement,
+      pinElements,
+      start,
+      duration,
+      parsedDuration,
+      horizontal,
+    };
+  }
+
+  /**
+   * Measures how far the inner track of a horizontal pin has to travel, and the track height that
+   * gives it as much vertical scroll.
+   * @param {HTMLElement} viewport - The pinned element the inner track overflows.
+   * @param {HTMLElement} element - The inner track.
+   * @returns {{distance: number, height: number}} The distance in pixels and the track height in pixels.
+   * @private
+   */
+  _measureHorizontalPin(viewport, element) {
+    const distance = Math.max(0, element.scrollWidth - viewport.clientWidth);
+    return { distance, height: viewport.offsetHeight + distance };
+  }
+
+  /**
+   * Resolves targets (string, array, etc.) but scopes the search to within a parent element.
+   * @param {string|Array|HTMLElement|NodeList} targets - The targets to resolve.
+   * @param {HTMLElement} parent - The parent element to search within.
+   * @returns {Array<HTMLElement>} An array of the found elements.
+   * @private
+   */
+  _resolveScopedTargets(targets, parent) {
+    // If no parent is provided, we default to the global resolver.
+    if (!parent) {
+      return this._resolveTargetsFn(targets);
+    }
+    // First, use the powerful global resolver to handle all input types.
+    const allPossibleTargets = this._resolveTargetsFn(targets);
+    // Then, filter the results to keep only the elements contained within the parent.
+    return allPossibleTargets.filter((el) => parent.contains(el));
+  }
+
+  /**
+   * Converts a raw `data-anime-*` attribute value into the matching JS value.
+   * @param {string} value - The attribute value.
+   * @returns {*} A boolean, number, parsed JSON object/array or the original string.
+   * @private
+   */
+  _parseDataValue(value) {
+    if (value === "" || value === "true") return true;
+    if (value === "false") return false;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return parseFloat(value);
+    if (/^[\[{]/.test(value)) {
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        console.warn(
+          `AnimeHelper: Could not parse the data attribute value "${value}" as JSON.`
+        );
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Builds an `observe()` config object from an element's `data-anime-*` attributes.
+   * e.g. `data-anime-scroll-enter="start 80%"` becomes `{ scrollParams: { enter: "start 80%" } }`.
+   * @param {HTMLElement} element - The element declaring the animation.
+   * @returns {object} The configuration object.
+   * @private
+   */
+  _parseDataAttributes(element) {
+    const { _dataAttributeGroups: groups, _dataAttributeKeys: topLevelKeys } =
+      this.constructor;
+    const config = {};
+
+    Object.entries(element.dataset).forEach(([key, rawValue]) => {
+      if (!key.startsWith("anime") || key === "anime") return;
+      const prop = key.charAt(5).toLowerCase() + key.slice(6);
+      const value = this._parseDataValue(rawValue);
+
+      if (topLevelKeys.includes(prop)) {
+        const isGroup = Object.values(groups).includes(prop);
+        config[prop] =
+          isGroup && typeof value === "object"
+            ? { ...config[prop], ...value }
+            : value;
+        return;
+      }
+
+      const prefix = Object.keys(groups).find(
+        (name) =>
+          prop.startsWith(name) && /[A-Z]/.test(prop.charAt(name.length))
+      );
+      if (prefix) {
+        const groupKey = groups[prefix];
+        const subProp =
+          prop.charAt(prefix.length).toLowerCase() +
+          prop.slice(prefix.length + 1);
+        config[groupKey] = { ...config[groupKey], [subProp]: value };
+        return;
+      }
+
+      config[prop] = value;
+    });
+
+    return config;
+  }
+
+  /* ========================== CORE METHODS ================================ */
+
+  /**
+   * Initializes the AnimeHelper instance.
+   * @param {object} animeInstance - An instance of the Anime.js library.
+   * @param {object} [options] - Helper-level options.
+   * @param {string} [options.motion] - The motion policy ('full', 'reduced' or 'none'). Follows `prefers-reduced-motion` when omitted.
+   * @param {boolean} [options.strict=false] - Validates every `observe()` config and throws when it contains errors.
+   * @param {boolean} [options.isolated=false] - Stores the instances in a registry of this helper instead of the one
+   * shared with the static methods. They are then controlled with the same methods called on the helper (e.g. `helper.play(name)`).
+   */
+  constructor(animeInstance, options = {}) {
+    const lib =
+      animeInstance ||
+      (typeof window !== "undefined" ? window.anime : undefined);
+    if (!lib) throw new Error("Anime.js not found.");
+    this._anime = lib;
+    this._animateFn = lib.animate || lib;
+    this._timelineFn = lib.createTimeline || lib.timeline;
+    this._scopeFn = lib.createScope || lib.scope;
+    this._resolveTargetsFn = lib.utils?.$ || lib.$;
+    this._textSplitFn = lib.text?.split || lib.splitText;
+    this._scrollFn = lib.scroll || lib.onScroll;
+    this._animatable = lib.animatable || lib.createAnimatable;
+    this._motionQuery =
+      typeof window !== "undefined" && typeof window.matchMedia === "function"
+        ? window.matchMedia("(prefers-reduced-motion: reduce)")
+        : null;
+    this._strict = !!options.strict;
+    const registry = options.isolated
+      ? {
+          _instances: new Map(),
+          _instanceInfo: new Map(),
+          _syncQueue: [],
+          _listeners: new Map(),
+        }
+      : this.constructor;
+    this._instances = registry._instances;
+    this._instanceInfo = registry._instanceInfo;
+    this._syncQueue = registry._syncQueue;
+    this._listeners = registry._listeners;
+    if (options.motion) this.setMotionPolicy(options.motion);
+    this._appliedMotion = this.motionPolicy;
+    if (typeof this._motionQuery?.addEventListener === "function") {
+      this._onMotionChange = () => this._applyMotionPolicy();
+      this._motionQuery.addEventListener("change", this._onMotionChange);
+    }
+  }
+
+  /**
+   * The motion policy applied to the animations created by this helper.
+   * Unless set explicitly, it is `'reduced'` while `prefers-reduced-motion: reduce` matches and `'full'` otherwise.
+   * @returns {string} The current motion policy: 'full', 'reduced' or 'none'.
+   */
+  get motionPolicy() {
+    if (this._motionPolicy) return this._motionPolicy;
+    return this._motionQuery?.matches ? "reduced" : "full";
+  }
+
+  /**
+   * Sets the motion policy of the helper. The instances it created are rebuilt when the policy changes.
+   * @param {string|null} policy - 'full', 'reduced' or 'none'. Pass null to follow `prefers-reduced-motion` again.
+   */
+  setMotionPolicy(policy) {
+    if (policy !== null && !this.constructor._motionPolicies.includes(policy)) {
+      console.error(
+        `AnimeHelper.setMotionPolicy() expects one of ${this.constructor._motionPolicies.join(
+          ", "
+        )} or null.`
+      );
+      return;
+    }
+    this._motionPolicy = policy;
+    this._applyMotionPolicy();
+  }
+
+  /**
+   * Rebuilds the instances created by this helper when the motion policy changed since they were built
+   * (e.g. `prefers-reduced-motion` was toggled in the OS settings). Instances are rebuilt from their config
+   * under the same name, and completed ones jump to their end. Configs with their own `motion`, the instances
+   * of a group (rebuilt with the group), and FLIP transitions and steps (which would run their DOM change again)
+   * are kept.
+   * @private
+   */
+  _applyMotionPolicy() {
+    const motion = this.motionPolicy;
+    if (motion === this._appliedMotion) return;
+    this._appliedMotion = motion;
+
+    const groupMembers = new Set();
+    const rebuilds = [];
+    this._instances.forEach((instance, name) => {
+      if (!this._ownInstances.has(instance)) return;
+      if (Array.isArray(instance.names)) {
+        instance.names.forEach((member) => groupMembers.add(member));
+      }
+      const info = this._instanceInfo.get(name);
+      const steps =
+        info?.config?.steps || info?.config?.timelineParams?.steps || [];
+      const runsMutation =
+        info?.type === "flip" || steps.some((step) => step?.type === "flip");
+      if (info?.config && !info.config.motion && !runsMutation) {
+        rebuilds.push([name, instance, info]);
+      }
+    });
+
+    rebuilds.forEach(([name, instance, { targets, config }]) => {
+      // Skipped when it was already reverted, e.g. with its group.
+      if (groupMembers.has(name) || this._instances.get(name) !== instance) {
+        return;
+      }
+      const completed = instance.completed;
+      const next = this.observe(targets, { ...config, name, replace: true });
+      if (next && completed) this._jumpToEnd(next);
+      this._autoInstances.forEach((autoInstance, element) => {
+        if (autoInstance === instance) this._autoInstances.set(element, next);
+      });
+    });
+  }
+
+  /**
+   * Creates a scroll observer if scrollParams are provided.
+   * @param {string|HTMLElement|Array<HTMLElement>} targets - The element to observe.
+   * @param {object} config - The main configuration object.
+   * @returns {object|undefined} An Anime.js scroll observer instance.
+   * @private
+   */
+  _createScrollObserver(targets, config) {
+    if (!this._scrollFn || !config.scrollParams) {
+      return undefined;
+    }
+
+    const { scrollParams, scrollContainer } = config;
+    const observerTarget = this._resolveTargetsFn(targets)[0];
+
+    if (!observerTarget) {
+      console.warn(
+        `AnimeHelper: Could not find a target for the scroll observer.`
+      );
+      return undefined;
+    }
+
+    const observerConfig = {
+      target: observerTarget,
+      container: scrollContainer,
+      ...scrollParams,
+    };
+
+    return this._observeScroll(observerConfig, config.name);
+  }
+
+  /**
+   * Creates an anime.js scroll observer with the helper's hooks, keeping the observer's own callbacks:
+   * the 'enter' and 'leave' lifecycle events, the `cssVar` custom properties and the `onProgress` callback.
+   * @param {object} scrollConfig - The scroll observer params, with the `cssVar` and `onProgress` options.
+   * @param {string} name - The registry name of the instance.
+   * @returns {object} The anime.js scroll observer.
+   * @private
+   */
+  _observeScroll(scrollConfig, name) {
+    const { cssVar, onProgress, ...observerParams } = scrollConfig;
+    const cssVars = this._createScrollCssVars(cssVar, observerParams.target);
+
+    const observer = this._scrollFn({
+      ...observerParams,
+      ...(this._debugOverlay ? { debug: true } : {}),
+      onEnter: this._chainCallbacks(observerParams.onEnter, () =>
+        this._emit("enter", name)
+      ),
+      onLeave: this._chainCallbacks(observerParams.onLeave, () =>
+        this._emit("leave", name)
+      ),
+      onUpdate: this._chainCallbacks(
+        observerParams.onUpdate,
+        cssVars?.write,
+        typeof onProgress === "function"
+          ? (self) => onProgress(self.progress, self.velocity)
+          : undefined
+      ),
+    });
+    if (cssVars) this._onRevert(observer, cssVars.remove);
+    this._scrollObservers.add(observer);
+    this._onRevert(observer, () => this._scrollObservers.delete(observer));
+    return observer;
+  }
+
+  /**
+   * Resolves the `scrollParams.cssVar` option into functions writing and removing the scroll custom properties.
+   * @param {boolean|string|object} cssVar - `true` for `--progress`, a property name, or
+   * `{ progress, velocity, direction, target }` with the property names and the element to write them on.
+   * @param {string|HTMLElement} defaultTarget - The element written on when `cssVar.target` isn't set (the observer target).
+   * @returns {{write: Function, remove: Function}|undefined} The functions, called with a scroll observer
+   * (or its `progress`, `velocity` and `backward` values) and on revert.
+   * @private
+   */
+  _createScrollCssVars(cssVar, defaultTarget) {
+    if (!cssVar) return;
+    const {
+      progress = "--progress",
+      velocity,
+      direction,
+      target,
+    } = typeof cssVar === "object"
+      ? cssVar
+      : {
+          progress: typeof cssVar === "string" ? cssVar : undefined,
+        };
+    const element = this._resolveTargetsFn(target || defaultTarget)[0];
+    if (!element) {
+      const targetName = this.constructor._describeTargets(
+        target || defaultTarget
+      );
+      console.warn(
+        `AnimeHelper: Could not find the cssVar target "${targetName}".`
+      );
+      return;
+    }
+
+    const properties = [
+      [progress, (observer) => observer.progress],
+      [velocity, (observer) => observer.velocity],
+      // 1 while scrolling forward, -1 while scrolling backward, to be used in calc().
+      [direction, (observer) => (observer.backward ? -1 : 1)],
+    ].filter(([property]) => property);
+
+    return {
+      write: (observer) =>
+        properties.forEach(([property, getValue]) =>
+          element.style.setProperty(property, getValue(observer))
+        ),
+      remove: () =>
+        properties.forEach(([property]) =>
+          element.style.removeProperty(property)
+        ),
+    };
+  }
+
+  /**
+   * The main method to create and control animations.
+   * @param {string|HTMLElement|Array<HTMLElement>} targets - The primary target for the animation or effect.
+   * @param {object} config - The configuration object for the animation.
+   * @returns {object|undefined} The created Anime.js instance. For a `trigger` on a selector matching several
+   * elements and for `scrollParams.batch`, a group handle forwarding `play()`, `pause()`, `resume()`, `restart()`,
+   * `reverse()`, `seek()` and `revert()` to one instance per element, listed in its `instances`. For `responsive`
+   * configs and `splitText`, which are rebuilt in place, a handle forwarding to the current instance.
+   */
+  observe(targets, config) {
+    if (!config) {
+      console.warn("AnimeHelper.observe() expects a configuration object.");
+      return;
+    }
+
+    if (this._strict) this._assertValidConfig(targets, config);
+
+    if (config.responsive) {
+      return this._createResponsiveInstance(targets, config);
+    }
+
+    if (config.trigger && config.type !== "scroll" && !config.pin) {
+      const elements = this._resolveTargetsFn(targets);
+      if (elements.length > 1) {
+        return this._createTriggeredInstances(targets, elements, config);
+      }
+    } else if (
+      config.scrollParams?.batch &&
+      config.type !== "scroll" &&
+      !config.pin
+    ) {
+      return this._createBatchedReveal(targets, config);
+    }
+
+    const originalConfig = config;
+    const motion = this._getMotion(config);
+    config =
+      motion !== "full" && config.reducedMotion
+        ? { ...config, ...config.reducedMotion, motion: "full" }
+        : { ...config, motion };
+
+    const name = this._getInstanceName(targets, config);
+    config.name = name;
+    const existingInstance = this._resolveNameConflict(name, config);
+    if (existingInstance) return existingInstance;
+
+    let animationInstance;
+    let animationTarget = targets;
+    let observerTarget = targets;
+    let pin;
+
+    if (config.pin) {
+      const pinParams = config.pinParams || {};
+      observerTarget = targets;
+      animationTarget = pinParams.target || targets;
+      // Under reduced motion the pinned section keeps its static layout, and a horizontal track scrolls natively.
+      if (config.motion === "full") {
+        pin = this._createPin(targets, pinParams);
+      } else if (pinParams.horizontal) {
+        pin = this._createStaticPin(targets, pinParams);
+      }
+      config.type = "scroll";
+      config.scrollParams = {
+        target: observerTarget,
+        enter: "start start",
+        leave: "end end",
+        ...config.scrollParams,
+      };
+      if (pin?.horizontal && !pin.static) {
+        // The scrubbed animation moves the inner track, reading the distance at each refresh.
+        config.animationTarget = pin.horizontal.element;
+        config.params = {
+          translateX: () => -pin.horizontal.distance,
+          ease: "linear",
+          ...config.params,
+        };
+        config.scrollParams.onUpdate = this._chainCallbacks(
+          config.scrollParams.onUpdate,
+          pin.updatePanels
+        );
+      }
+    }
+
+    if (config.type === "scroll") {
+      const finalAnimationTarget =
+        config.animationTarget ||
+        config.pinParams?.target ||
+        config.pinParams?.targets ||
+        targets;
+      const finalObserverTarget = config.animationTarget
+        ? targets
+        : finalAnimationTarget;
+
+      animationInstance = this._createScrollAnimation(
+        finalAnimationTarget,
+        finalObserverTarget,
+        config
+      );
+    } else {
+      // Timelines (including split text with an array `splitBy`) jump to their end under reduced motion,
+      // so they don't wait for the scroll.
+      const isTimeline =
+        config.type === "timeline" ||
+        (config.type === "splitText" && Array.isArray(config.splitBy));
+      const skipScrollObserver =
+        config.trigger ||
+        config.motion === "none" ||
+        (config.motion === "reduced" && isTimeline);
+      const scrollObserver = skipScrollObserver
+        ? undefined
+        : this._createScrollObserver(observerTarget, config);
+      const effectiveParams = { ...(config.params || {}) };
+      if (scrollObserver) {
+        effectiveParams.autoplay = scrollObserver;
+      } else if (config.reusable || config.trigger) {
+        effectiveParams.autoplay = false;
+        delete config.reusable;
+      }
+      const effectiveConfig = { ...config, params: effectiveParams };
+
+      switch (effectiveConfig.type) {
+        case "animatable":
+          animationInstance = this._createAnimatable(
+            animationTarget,
+            config.params,
+            // Inputs are motion driven by the user, so they're left out unless motion is full.
+            config.motion === "full" ? config.inputs : undefined
+          );
+          break;
+        case "splitText":
+          animationInstance = this._createTextSplitAnimation(
+            animationTarget,
+            effectiveConfig
+          );
+          break;
+        case "scope":
+          animationInstance = this._createScopedAnimation(
+            animationTarget,
+            effectiveConfig
+          );
+          break;
+        case "timeline":
+          animationInstance = this._buildTimeline(
+            animationTarget,
+            effectiveConfig
+          );
+          break;
+        case "flip":
+          animationInstance = this._createFlipAnimation(
+            animationTarget,
+            effectiveConfig
+          );
+          break;
+        default:
+          animationInstance = this.constructor._customTypes.has(
+            effectiveConfig.type
+          )
+            ? this._createCustomAnimation(animationTarget, effectiveConfig)
+            : this._createSingleAnimation(animationTarget, effectiveConfig);
+      }
+    }
+
+    if (pin) {
+      if (animationInstance) {
+        this._onRevert(animationInstance, pin.revert);
+        if (pin.horizontal && !pin.static) {
+          pin.onRefresh = () => {
+            animationInstance.refresh();
+            pin.updatePanels();
+          };
+        }
+      } else {
+        pin.revert();
+      }
+    }
+
+    if (animationInstance) {
+      this._registerInstance(name, animationInstance, {
+        type: config.type || "default",
+        targets,
+        groups: [config.group, ...(config.tags || [])].filter(Boolean),
+        config: originalConfig,
+      });
+      this._emit("create", name);
+    }
+
+    if (pin?.horizontal && animationInstance) {
+      this._onRevert(animationInstance, this._createPanelTimelines(name, pin));
+    }
+
+    if (config.trigger && animationInstance && config.type !== "scroll") {
+      this._onRevert(
+        animationInstance,
+        this._bindTrigger(name, animationInstance, targets, config.trigger)
+      );
+    }
+
+    if (config.syncWith && animationInstance) {
+      const sync = {
+        slave: animationInstance,
+        master: config.syncWith,
+        offset: config.offset,
+        name,
+      };
+      this._syncQueue.push(sync);
+      this._onRevert(animationInstance, () => {
+        const index = this._syncQueue.indexOf(sync);
+        if (index !== -1) this._syncQueue.splice(index, 1);
+      });
+    }
+    if (animationInstance) this._resolveSyncs();
+
+    // Split text is rebuilt once the fonts load (lines) and on resize, replacing the instance in the registry.
+    if (animationInstance && config.type === "splitText") {
+      let current = animationInstance;
+      return this._createInstanceHandle(
+        () => (current = this._instances.get(name) || current)
+      );
+    }
+    return animationInstance;
+  }
+
+  /**
+   * Handles a name already taken in the registry, following the `replace` option: `false` keeps the existing
+   * instance, `true` kills it, and by default it is replaced in the registry but keeps running.
+   * @param {string} name - The registry name of the new instance.
+   * @param {object} config - The configuration object.
+   * @returns {object|undefined} The existing instance when it is kept, so it's returned instead of a new one.
+   * @private
+   */
+  _resolveNameConflict(name, config) {
+    const existingInstance = this._instances.get(name);
+    if (!existingInstance) return;
+    if (config.replace === false) {
+      console.warn(
+        `AnimeHelper: An instance named "${name}" already exists and was kept ("replace: false").`
+      );
+      return existingInstance;
+    }
+    if (config.replace === true) {
+      this.kill(name);
+    } else {
+      console.warn(
+        `AnimeHelper: An instance named "${name}" already exists. It is replaced in the registry but keeps running. Set "replace: true" to kill it or "replace: false" to keep it.`
+      );
+    }
+  }
+
+  /**
+   * Creates an instance whose config changes with media queries. The overrides of every matching query
+   * in `config.responsive` are merged into the base config, and the instance is reverted and rebuilt
+   * when a query starts or stops matching.
+   * @param {string|HTMLElement|Array<HTMLElement>|null} targets - The targets passed to `observe()`.
+   * @param {object} config - The configuration object, with a `responsive` map of media queries to overrides.
+   * @returns {object|undefined} A handle forwarding to the instance built for the current breakpoint.
+   * @private
+   */
+  _createResponsiveInstance(targets, config) {
+    const { responsive, ...baseConfig } = config;
+    const queries = Object.keys(responsive);
+    const name = this._getInstanceName(targets, baseConfig);
+    const mediaQueries = queries.reduce((acc, query, index) => {
+      acc[index] = query;
+      return acc;
+    }, {});
+    let instance;
+    let rebuilding = false;
+
+    const scope = this._scopeFn({ mediaQueries });
+    scope.add((self) => {
+      rebuilding = false;
+      const breakpointConfig = queries.reduce(
+        (merged, query, index) =>
+          self.matches[index]
+            ? this._mergeConfigs(merged, responsive[query])
+            : merged,
+        { ...baseConfig, name }
+      );
+      instance = this.observe(targets, breakpointConfig);
+      if (!instance) return;
+      // The full config is recorded, so a rebuild (e.g. after a motion policy change) stays responsive.
+      this._instanceInfo.get(name).config = config;
+
+      // Killing the instance tears down the media query listeners as well.
+      this._onRevert(instance, () => {
+        if (!rebuilding) scope.revert();
+      });
+      // The scope reverts in reverse order: registered last, this runs before the
+      // instance is reverted on a breakpoint change, so the scope is kept for the rebuild.
+      self.register({
+        revert: () => {
+          rebuilding = true;
+        },
+      });
+    });
+
+    // Looked up by name, so the handle also follows rebuilds outside the scope (e.g. a motion policy change).
+    return (
+      instance &&
+      this._createInstanceHandle(() => this._instances.get(name) || instance)
+    );
+  }
+
+  /**
+   * Creates a stable handle for an instance rebuilt in place (e.g. on a breakpoint change), forwarding every
+   * property and method to the current instance. The registry resolves the handle to that instance.
+   * @param {Function} getInstance - Returns the current instance.
+   * @returns {object} The handle.
+   * @private
+   */
+  _createInstanceHandle(getInstance) {
+    const handle = new Proxy(
+      {},
+      {
+        get: (target, property) => {
+          const instance = getInstance();
+          const value = instance?.[property];
+          return typeof value === "function" ? value.bind(instance) : value;
+        },
+        set: (target, property, value) => {
+          const instance = getInstance();
+          if (instance) instance[property] = value;
+          return true;
+        },
+        has: (target, property) => property in (getInstance() || {}),
+        getPrototypeOf: () => Object.getPrototypeOf(getInstance() || {}),
+      }
+    );
+    AnimeHelper._instanceHandles.set(handle, getInstance);
+    return handle;
+  }
+
+  /**
+   * Merges config overrides into a base config. Nested plain objects (e.g. `params`, `splitParams`) are merged one level deep.
+   * @param {object} baseConfig - The base configuration object.
+   * @param {object} overrides - The keys to override.
+   * @returns {object} A new configuration object.
+   * @private
+   */
+  _mergeConfigs(baseConfig, overrides) {
+    const isPlainObject = (value) =>
+      value && typeof value === "object" && !Array.isArray(value);
+    const merged = { ...baseConfig };
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+      merged[key] =
+        isPlainObject(value) && isPlainObject(baseConfig[key])
+          ? { ...baseConfig[key], ...value }
+          : value;
+    });
+    return merged;
+  }
+
+  /**
+   * Creates one triggered instance per element, so each element reacts to its own events. The instances are
+   * named `<name>-<index>` and tagged with the name, and grouped under the name (see `_createInstanceGroup()`).
+   * A `trigger.target` is looked up inside each element.
+   * @param {string|HTMLElement|Array<HTMLElement>} targets - The targets passed to `observe()`.
+   * @param {Array<HTMLElement>} elements - The resolved target elements.
+   * @param {object} config - The configuration object, with a `trigger`.
+   * @returns {object} The group handle of the created instances.
+   * @private
+   */
+  _createTriggeredInstances(targets, elements, config) {
+    const name = this._getInstanceName(targets, config);
+    const existingInstance = this._resolveNameConflict(name, config);
+    if (existingInstance) return existingInstance;
+    const trigger =
+      typeof config.trigger === "string"
+        ? { event: config.trigger }
+        : config.trigger;
+
+    const instances = elements
+      .map((element, index) =>
+        this.observe(element, {
+          ...config,
+          name: `${name}-${index}`,
+          tags: [...(config.tags || []), name],
+          trigger: {
+            ...trigger,
+            target: trigger.target
+              ? this._resolveScopedTargets(trigger.target, element)
+              : element,
+          },
+        })
+      )
+      .filter(Boolean);
+    return this._createInstanceGroup(name, instances, targets, config);
+  }
+
+  /**
+   * Creates one reveal per element, each with its own scroll observer. The elements entering in the same
+   * frame are played together with a stagger, in batches of up to `max` elements spaced by `interval`.
+   * The instances are named `<name>-<index>` and grouped under the name, like triggered instances.
+   * Under reduced motion the batches aren't staggered, and with no motion the elements show their end state
+   * without scroll observers.
+   * @param {string|HTMLElement|Array<HTMLElement>} targets - The targets passed to `observe()`.
+   * @param {object} config - The configuration object, with a `scrollParams.batch` option.
+   * @returns {object} The group handle of the created instances.
+   * @private
+   */
+  _createBatchedReveal(targets, config) {
+    const name = this._getInstanceName(targets, config);
+    const existingInstance = this._resolveNameConflict(name, config);
+    if (existingInstance) return existingInstance;
+    const { batch, ...scrollParams } = config.scrollParams;
+    const {
+      interval = 100,
+      max = Infinity,
+      stagger = 100,
+      once = true,
+    } = batch === true ? {} : batch;
+    const motion = this._getMotion(config);
+    // `reducedMotion` overrides keep the full behavior, as for single instances.
+    const batchMotion =
+      motion !== "full" && config.reducedMotion ? "full" : motion;
+    const queue = [];
+    const delays = new Map();
+    const elements = new Map();
+    let timer;
+    let lastFlush = -Infinity;
+
+    const flush = () => {
+      timer = undefined;
+      lastFlush = Date.now();
+      const group = queue.splice(0, max);
+      const groupElements = group.map((instance) => elements.get(instance));
+      const getDelay = this._delayToStagger(
+        batchMotion === "full" ? stagger : 0,
+        undefined,
+        groupElements
+      );
+      group.forEach((instance, index) => {
+        delays.set(
+          instance,
+          setTimeout(() => {
+            delays.delete(instance);
+            instance.play();
+          }, parseFloat(getDelay(groupElements[index], index, groupElements)) || 0)
+        );
+      });
+      if (queue.length) timer = setTimeout(flush, interval);
+    };
+    const cancel = (instance) => {
+      const queued = queue.indexOf(instance);
+      if (queued !== -1) queue.splice(queued, 1);
+      clearTimeout(delays.get(instance));
+      delays.delete(instance);
+    };
+    const enqueue = (instance) => {
+      if (queue.includes(instance) || delays.has(instance)) return;
+      queue.push(instance);
+      // A timeout groups the elements entering during the same scroll update.
+      if (timer === undefined) {
+        timer = setTimeout(
+          flush,
+          Math.max(0, lastFlush + interval - Date.now())
+        );
+      }
+    };
+
+    const instances = this._resolveTargetsFn(targets).map((element, index) => {
+      const elementName = `${name}-${index}`;
+      const instance = this.observe(element, {
+        ...config,
+        name: elementName,
+        tags: [...(config.tags || []), name],
+        scrollParams: undefined,
+        reusable: true,
+      });
+      if (!instance) return;
+      if (batchMotion === "none") return this._jumpToEnd(instance);
+      elements.set(instance, element);
+
+      let revealed = false;
+      const observer = this._observeScroll(
+        {
+          target: element,
+          container: config.scrollContainer,
+          ...scrollParams,
+          onEnter: this._chainCallbacks(scrollParams.onEnter, () => {
+            if (revealed && once) return;
+            revealed = true;
+            enqueue(instance);
+          }),
+          onLeave: this._chainCallbacks(scrollParams.onLeave, () => {
+            if (once) return;
+            cancel(instance);
+            instance.reverse();
+          }),
+        },
+        elementName
+      );
+      this._onRevert(instance, () => {
+        observer.revert();
+        cancel(instance);
+        if (queue.length === 0) {
+          clearTimeout(timer);
+          timer = undefined;
+        }
+      });
+      return instance;
+    });
+
+    return this._createInstanceGroup(
+      name,
+      instances.filter(Boolean),
+      targets,
+      config
+    );
+  }
+
+  /**
+   * Registers the instances created per element (triggers, batched reveals) under the name passed to `observe()`,
+   * with a handle forwarding the playback methods to each of them. Reverting the handle reverts them all.
+   * @param {string} name - The registry name of the group.
+   * @param {Array<object>} instances - The registered instances of the elements.
+   * @param {string|HTMLElement|Array<HTMLElement>} targets - The targets passed to `observe()`.
+   * @param {object} config - The configuration object passed to `observe()`.
+   * @returns {{instances: Array<object>, play: Function, pause: Function, resume: Function, restart: Function,
+   * reverse: Function, seek: Function, revert: Function}} The group handle.
+   * @private
+   */
+  _createInstanceGroup(name, instances, targets, config) {
+    const registry = this._instances;
+    const names = instances.map((instance) => this._getRegistryName(instance));
+    const handle = {
+      // Looked up by name, so rebuilt instances are used and killed ones are skipped.
+      get instances() {
+        return names.map((n) => registry.get(n)).filter(Boolean);
+      },
+      names,
+    };
+    ["play", "pause", "resume", "restart", "reverse", "seek", "revert"].forEach(
+      (method) => {
+        handle[method] = (...args) => {
+          handle.instances.forEach((instance) => instance[method]?.(...args));
+          return handle;
+        };
+      }
+    );
+    // No groups: the instances already have the group and tags, which would be played twice.
+    this._registerInstance(name, handle, {
+      type: config.type || "default",
+      targets,
+      groups: [],
+      config,
+    });
+    // The group is unregistered once its last instance is killed (e.g. with `killGroup()`).
+    instances.forEach((instance) =>
+      this._onRevert(instance, () => {
+        if (registry.get(name) === handle && handle.instances.length === 0) {
+          handle.revert();
+        }
+      })
+    );
+    this._emit("create", name);
+    return handle;
+  }
+
+  /**
+   * Plays an instance from the DOM events of its `trigger`. Click triggers on elements that can't be focused are
+   * made focusable and respond to Enter and Space, and toggles reflect their state in `aria-expanded`.
+   * @param {string} name - The registry name of the instance, which is looked up again in case it was rebuilt.
+   * @param {object} instance - The anime.js instance.
+   * @param {string|HTMLElement|Array<HTMLElement>} targets - The animation targets, used when the trigger has no `target`.
+   * @param {string|object} trigger - The `trigger` option: an event name, or `{ event, mode, target, leaveEvent }`.
+   * @returns {Function} A function that removes the listeners and restores the changed attributes.
+   * @private
+   */
+  _bindTrigger(name, instance, targets, trigger) {
+    const {
+      event = "click",
+      target,
+      leaveEvent,
+    } = typeof trigger === "string" ? { event: trigger } : trigger;
+    const mode =
+      (typeof trigger === "object" && trigger.mode) ||
+      (event === "hover" || event === "focus" ? "reverse-on-leave" : "play");
+    const elements = this._resolveTargetsFn(target || targets);
+    if (elements.length === 0) {
+      console.warn(
+        `AnimeHelper: Could not find the trigger element of "${name}".`
+      );
+      return () => {};
+    }
+
+    const events = this.constructor._triggerEvents[event] || {
+      enter: [event],
+      leave: leaveEvent ? [leaveEvent] : [],
+    };
+    const getInstance = () => this._instances.get(name) || instance;
+    const restores = [];
+    let active = false;
+
+    const setActive = (value) => {
+      active = value;
+      if (mode !== "toggle") return;
+      elements.forEach((el) =>
+        el.setAttribute("aria-expanded", String(active))
+      );
+    };
+    const enter = () => {
+      const current = getInstance();
+      if (mode === "play") {
+        current.restart();
+      } else if (mode === "toggle" && active) {
+        current.reverse();
+        setActive(false);
+      } else {
+        current.play();
+        setActive(true);
+      }
+    };
+    const leave = () => {
+      if (!active) return;
+      getInstance().reverse();
+      setActive(false);
+    };
+    // Moving the focus between the children of a trigger element doesn't leave it.
+    const isInside = (el, domEvent) =>
+      domEvent.relatedTarget instanceof Node &&
+      el.contains(domEvent.relatedTarget);
+
+    const listeners = [];
+    const listen = (el, type, handler) => {
+      el.addEventListener(type, handler);
+      listeners.push([el, type, handler]);
+    };
+
+    elements.forEach((el) => {
+      events.enter.forEach((type) =>
+        listen(el, type, (domEvent) => {
+          if (!isInside(el, domEvent)) enter();
+        })
+      );
+      if (mode === "reverse-on-leave") {
+        events.leave.forEach((type) =>
+          listen(el, type, (domEvent) => {
+            if (!isInside(el, domEvent)) leave();
+          })
+        );
+      }
+
+      if (event === "click") {
+        const isFocusable = el.matches(
+          "a[href], button, input, select, textarea, summary, [tabindex]"
+        );
+        if (!isFocusable) {
+          restores.push(this._saveAttributes(el, ["tabindex", "role"]));
+          el.setAttribute("tabindex", "0");
+          el.setAttribute("role", "button");
+          listen(el, "keydown", (domEvent) => {
+            if (domEvent.key !== "Enter" && domEvent.key !== " ") return;
+            domEvent.preventDefault();
+            enter();
+          });
+        }
+        if (mode === "toggle") {
+          restores.push(this._saveAttributes(el, ["aria-expanded"]));
+        }
+      }
+    });
+    setActive(false);
+
+    // Click toggles and menus close with Escape, and menus with a click outside of the trigger as well.
+    if (event === "click" && mode !== "play") {
+      listen(document, "keydown", (domEvent) => {
+        if (domEvent.key === "Escape") leave();
+      });
+      if (mode === "reverse-on-leave") {
+        listen(document, "click", (domEvent) => {
+          if (!elements.some((el) => el.contains(domEvent.target))) leave();
+        });
+      }
+    }
+
+    return () => {
+      listeners.forEach(([el, type, handler]) =>
+        el.removeEventListener(type, handler)
+      );
+      restores.forEach((restore) => restore());
+    };
+  }
+
+  /**
+   * Throws if a config has validation errors. Used by `observe()` in strict mode.
+   * @param {string|HTMLElement|Array<HTMLElement>|null} targets - The targets passed to `observe()`.
+   * @param {object} config - The configuration object passed to `observe()`.
+   * @private
+   */
+  _assertValidConfig(targets, config) {
+    const errors = this.constructor
+      .validate(targets, config)
+      .filter(({ severity }) => severity === "error");
+    if (errors.length === 0) return;
+
+    const targetName = this.constructor._describeTargets(targets);
+    const error = new Error(
+      `AnimeHelper: Invalid config for "${targetName}".\n${errors
+        .map(({ path, message }) => `  ${path || "config"}: ${message}`)
+        .join("\n")}`
+    );
+    error.diagnostics = errors;
+    throw error;
+  }
+
+  /**
+   * Animates a layout change with the FLIP technique: records the position and size of the targets,
+   * runs `mutate`, then animates each element from its old layout to the new one with transforms.
+   * Elements that appear or disappear play the `enter` and `leave` params of `flipParams`.
+   * @param {string|HTMLElement|Array<HTMLElement>} targets - The elements whose layout changes. A selector also finds the elements added by `mutate`.
+   * @param {Function} mutate - The function changing the DOM (e.g. reordering, filtering or resizing elements).
+   * @param {object} [config={}] - The `observe()` configuration, with `flipParams` and the timing in `params`.
+   * @returns {object|undefined} The anime.js timeline of the transition.
+   */
+  flip(targets, mutate, config = {}) {
+    // Recorded before the previous transition is killed, so an interrupted transition starts where it was.
+    const state = this._captureFlipLayout(targets);
+    return this.observe(targets, {
+      replace: true,
+      ...config,
+      type: "flip",
+      flipParams: { ...config.flipParams, mutate, state },
+    });
+  }
+
+  /**
+   * Creates animations declared with `data-anime-*` attributes inside a root element.
+   * Attributes are converted into the same config object `observe()` takes, and a MutationObserver
+   * sets up nodes inserted later and reverts the instances of removed nodes.
+   * @param {HTMLElement|Document} [root=document] - The element to scan.
+   * @param {object} [options] - Options for the auto-initialization.
+   * @param {boolean} [options.watch=true] - Whether to watch the root for DOM mutations.
+   * @returns {MutationObserver|undefined} The mutation observer watching the root, if any.
+   */
+  autoInit(root = document, { watch = true } = {}) {
+    const rootElement =
+      typeof root === "string" ? this._resolveTargetsFn(root)[0] : root;
+    if (!rootElement) {
+      console.warn("AnimeHelper.autoInit() could not find the root element.");
+      return;
+    }
+
+    this._initDataElements(rootElement);
+
+    if (!watch || typeof MutationObserver === "undefined") return;
+
+    const mutationObserver = new MutationObserver((mutations) => {
+      mutations.forEach(({ addedNodes, removedNodes }) => {
+        removedNodes.forEach((node) => this._revertDataElements(node));
+        addedNodes.forEach((node) => this._initDataElements(node));
+      });
+    });
+    mutationObserver.observe(rootElement, { childList: true, subtree: true });
+    this._autoInitObservers.push(mutationObserver);
+    return mutationObserver;
+  }
+
+  /**
+   * Creates the animations for a node and its descendants declaring `data-anime-*` attributes.
+   * @param {Node} node - The node to scan.
+   * @private
+   */
+  _initDataElements(node) {
+    if (!node || (node.nodeType !== 1 && node.nodeType !== 9)) return;
+    const selector = this.constructor._autoInitSelector;
+    const elements = [...node.querySelectorAll(selector)];
+    if (node.nodeType === 1 && node.matches(selector)) elements.unshift(node);
+
+    elements.forEach((element) => {
+      if (this._autoInstances.has(element)) return;
+      const instance = this.observe(
+        element,
+        this._parseDataAttributes(element)
+      );
+      if (instance) this._autoInstances.set(element, instance);
+    });
+  }
+
+  /**
+   * Reverts the auto-initialized instances of a removed node and its descendants.
+   * Elements that were only moved (and are still connected) are left untouched.
+   * @param {Node} node - The removed node.
+   * @private
+   */
+  _revertDataElements(node) {
+    if (!node || node.nodeType !== 1) return;
+    this._autoInstances.forEach((instance, element) => {
+      if (element.isConnected || !node.contains(element)) return;
+      if (typeof instance.revert === "function") instance.revert();
+      this._autoInstances.delete(element);
+    });
+  }
+
+  /**
+   * Reverts everything this helper created: its animations with their scroll observers, pin styles and split text,
+   * and its auto-initialized elements. Also clears its pending syncs, stops its `autoInit()` observers and hides its debug overlay.
+   * It stops listening to `prefers-reduced-motion` changes too, though new instances still follow the current setting.
+   * Call it when a view unmounts (e.g. on SPA route changes). The helper can still be used afterwards.
+   */
+  destroy() {
+    this._autoInitObservers
+      .splice(0)
+      .forEach((mutationObserver) => mutationObserver.disconnect());
+    this._autoInstances.clear();
+
+    const pendingSyncs = this._syncQueue.filter(
+      ({ slave }) => !this._ownInstances.has(slave)
+    );
+    this._syncQueue.splice(0, this._syncQueue.length, ...pendingSyncs);
+
+    // Most recent first, so instances built on earlier ones (e.g. timeline syncs) are reverted before them.
+    [...this._ownInstances].reverse().forEach((instance) => {
+      if (typeof instance.revert === "function") instance.revert();
+    });
+    this._ownInstances.clear();
+    this.debug(false);
+    if (this._onMotionChange) {
+      this._motionQuery.removeEventListener("change", this._onMotionChange);
+      this._onMotionChange = null;
+    }
+  }
+
+  /**
+   * Shows or hides the debug overlay: the enter and leave markers of every scroll observer (drawn by anime.js),
+   * the outline and computed height of every pin track, and a panel listing the registry's instances with
+   * their live progress and play/pause and seek controls. Split text is outlined for the instances created
+   * while it's shown.
+   * @param {boolean} [enabled=true] - Whether to show the overlay.
+   */
+  debug(enabled = true) {
+    if (!enabled) {
+      if (!this._debugOverlay) return;
+      this._debugOverlay.remove();
+      this._debugOverlay = null;
+      this._scrollObservers.forEach((observer) =>
+        this._setObserverDebug(observer, false)
+      );
+      return;
+    }
+    if (this._debugOverlay || typeof document === "undefined") return;
+
+    this._debugOverlay = this._createDebugOverlay();
+    this._scrollObservers.forEach((observer) =>
+      this._setObserverDebug(observer, true)
+    );
+  }
+
+  /**
+   * Shows or hides the markers of an existing scroll observer.
+   * @param {object} observer - The anime.js scroll observer.
+   * @param {boolean} enabled - Whether to show the markers.
+   * @private
+   */
+  _setObserverDebug(observer, enabled) {
+    // anime.js only reads `debug` when an observer is created, and draws the markers when it's ready or refreshed.
+    observer._debug = enabled;
+    if (enabled) {
+      if (observer.ready) observer.refresh();
+    } else {
+      observer.removeDebug();
+    }
+  }
+
+  /**
+   * Creates the debug overlay, redrawn on every frame while it's shown.
+   * @returns {{remove: Function}} The overlay, whose `remove()` stops drawing it and removes its elements.
+   * @private
+   */
+  _createDebugOverlay() {
+    const layer = document.createElement("div");
+    layer.className = "anime-helper-debug";
+    layer.style.cssText =
+      "position:absolute;top:0;left:0;width:0;height:0;z-index:2147483646;pointer-events:none;font:11px/1.4 monospace;";
+    const panel = document.createElement("div");
+    panel.className = "anime-helper-debug-panel";
+    panel.style.cssText =
+      "position:fixed;right:8px;bottom:8px;max-height:40vh;overflow:auto;z-index:2147483647;padding:6px 8px;border-radius:4px;background:rgba(20,20,20,0.9);color:#fff;font:11px/1.4 monospace;";
+    document.body.append(layer, panel);
+
+    const pinBoxes = new Map();
+    const rows = new Map();
+    let frame;
+    const render = () => {
+      this._renderDebugPins(layer, pinBoxes);
+      this._renderDebugPanel(panel, rows);
+      frame = requestAnimationFrame(render);
+    };
+    render();
+
+    return {
+      remove: () => {
+        cancelAnimationFrame(frame);
+        layer.remove();
+        panel.remove();
+      },
+    };
+  }
+
+  /**
+   * Outlines the pin tracks of the debug overlay, with their computed heights.
+   * @param {HTMLElement} layer - The overlay layer, positioned at the top of the page.
+   * @param {Map<object, HTMLElement>} boxes - The outline of each pin, kept between frames.
+   * @private
+   */
+  _renderDebugPins(layer, boxes) {
+    boxes.forEach((box, pin) => {
+      if (this._pins.has(pin)) return;
+      box.remove();
+      boxes.delete(pin);
+    });
+    this._pins.forEach((pin) => {
+      let box = boxes.get(pin);
+      if (!box) {
+        box = document.createElement("div");
+        box.style.cssText =
+          "position:absolute;box-sizing:border-box;padding:2px 4px;border:1px dashed #ff4fcf;color:#ff4fcf;";
+        layer.append(box);
+        boxes.set(pin, box);
+      }
+      const rect = pin.track.getBoundingClientRect();
+      Object.assign(box.style, {
+        top: `${rect.top + window.scrollY}px`,
+        left: `${rect.left + window.scrollX}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`,
+      });
+      box.textContent = `pin track: ${Math.round(rect.height)}px${
+        pin.horizontal
+          ? `, ${Math.round(pin.horizontal.distance)}px horizontal`
+          : ""
+      }`;
+    });
+  }
+
+  /**
+   * Lists the registry's instances in the debug panel and updates their progress.
+   * @param {HTMLElement} panel - The debug panel.
+   * @param {Map<string, object>} rows - The row of each instance name, kept between frames.
+   * @private
    */
-  _parseCssValue(cssValue) {
-    if (typeof cssValue !== "string") return null;
-    const match = cssValue.match(/^(\-?[\d\.]+)([a-z%]*)$/i);
-    if (match) {
-      const [, value, unit] = match;
-      return { value: parseFloat(value), unit: unit || "" };
-    }
-    return null;
+  _renderDebugPanel(panel, rows) {
+    rows.forEach((row, name) => {
+      if (this._instances.get(name) === row.instance) return;
+      row.element.remove();
+      rows.delete(name);
+    });
+    this._instances.forEach((instance, name) => {
+      if (!rows.has(name)) {
+        const row = this._createDebugRow(name, instance);
+        panel.append(row.element);
+        rows.set(name, row);
+      }
+      rows.get(name).update();
+    });
   }
 
   /**
-   * Creates the DOM structure and applies CSS for the pinning effect.
-   * @param {HTMLElement} parentTarget - The element that will act as the scrollable track.
-   * @param {object} config - The pin configuration from `pinParams`.
+   * Creates the debug panel row of an instance. Instances without progress (e.g. scopes, animatables) only show their name.
+   * @param {string} name - The registry name of the instance.
+   * @param {object} instance - The anime.js instance.
+   * @returns {{element: HTMLElement, instance: object, update: Function}} The row, whose `update()` shows the live progress.
    * @private
    */
-  _createPin(parentTarget, config) {
-    const { duration = "auto", start = "0px", target } = config;
-    const trackElement = this._resolveTargetsFn(parentTarget)[0];
-    if (!trackElement) {
-      console.warn(
-        `AnimeHelper Pin: Could not find the track element "${parentTarget}".`
+  _createDebugRow(name, instance) {
+    const element = document.createElement("div");
+    element.style.cssText =
+      "display:flex;gap:6px;align-items:center;white-space:nowrap;";
+    const label = document.createElement("span");
+    label.textContent = name;
+    label.title = this._instanceInfo.get(name)?.type || "";
+    element.append(label);
+
+    if (typeof instance.progress !== "number") {
+      return { element, instance, update: () => {} };
+    }
+
+    const toggle = document.createElement("button");
+    toggle.type = "button";
+    toggle.addEventListener("click", () =>
+      instance.paused ? instance.play() : instance.pause()
+    );
+    const seek = document.createElement("input");
+    seek.type = "range";
+    seek.min = "0";
+    seek.max = "1";
+    seek.step = "0.001";
+    seek.setAttribute("aria-label", `Seek ${name}`);
+    seek.addEventListener("input", () => {
+      instance.pause();
+      instance.seek(parseFloat(seek.value) * instance.duration);
+    });
+    const progress = document.createElement("span");
+    element.append(toggle, seek, progress);
+
+    return {
+      element,
+      instance,
+      update: () => {
+        toggle.textContent = instance.paused ? "play" : "pause";
+        progress.textContent = `${Math.round(instance.progress * 100)}%`;
+        // Not while the range is dragged, so it doesn't jump back.
+        if (document.activeElement !== seek) seek.value = instance.progress;
+      },
+    };
+  }
+
+  /**
+   * Serializes a timeline created by `observe()` into a JSON-compatible object, which `fromJSON()` loads back.
+   * Step targets must be selectors, `call` functions must be registered with `AnimeHelper.registerCallback()`,
+   * and the `instance` of synced steps must be registered instances. They are written as selectors and names.
+   * @param {object|string} instance - The timeline instance, or its registry name.
+   * @returns {{targets: string|null, config: object}} The serialized timeline.
+   * @throws {Error} If the instance isn't a registered timeline, or a value of its config can't be serialized.
+   */
+  toJSON(instance) {
+    const name =
+      typeof instance === "string" ? instance : this._getRegistryName(instance);
+    const info = this._instanceInfo.get(name);
+    if (!info || info.config?.type !== "timeline") {
+      throw new Error(
+        `AnimeHelper.toJSON(): "${name}" is not a registered timeline.`
+      );
+    }
+    if (info.targets !== null && typeof info.targets !== "string") {
+      throw new Error(
+        "AnimeHelper.toJSON(): The timeline targets must be a selector or null."
       );
-      return;
     }
 
-    const pinElements = target
-      ? this._resolveScopedTargets(target, trackElement)
-      : [trackElement];
+    const { steps, call, ...config } = info.config;
+    const serialized = {
+      targets: info.targets,
+      config: this._toJSONValue(config, ""),
+    };
 
-    if (!pinElements || pinElements.length === 0) {
-      console.warn(
-        `AnimeHelper Pin: Could not find the pin target "${target}" inside "${parentTarget}".`
+    if (Array.isArray(steps)) {
+      serialized.config.steps = steps.map((step, index) => {
+        const path = `steps[${index}]`;
+        if (!step.instance) {
+          if (typeof step.target !== "string") {
+            throw new Error(
+              `AnimeHelper.toJSON(): "${path}.target" must be a selector.`
+            );
+          }
+          return this._toJSONValue(step, path);
+        }
+        const instanceName = this._getRegistryName(step.instance);
+        if (!instanceName) {
+          throw new Error(
+            `AnimeHelper.toJSON(): "${path}.instance" is not a registered instance.`
+          );
+        }
+        return {
+          ...this._toJSONValue({ ...step, instance: undefined }, path),
+          instance: instanceName,
+        };
+      });
+    }
+
+    if (Array.isArray(call)) {
+      const callbackNames = new Map(
+        [...this.constructor._callbacks].map(([key, fn]) => [fn, key])
       );
+      serialized.config.call = call.map(({ func, at }, index) => {
+        if (!callbackNames.has(func)) {
+          throw new Error(
+            `AnimeHelper.toJSON(): "call[${index}].func" is not a registered callback. Register it with AnimeHelper.registerCallback().`
+          );
+        }
+        return this._toJSONValue(
+          { func: callbackNames.get(func), at },
+          `call[${index}]`
+        );
+      });
+    }
+
+    return serialized;
+  }
+
+  /**
+   * Creates a timeline from the output of `toJSON()`, or its JSON string.
+   * Callback names are resolved with `AnimeHelper.registerCallback()` and instance names with `AnimeHelper.get()`,
+   * so they must be registered first. Entries that can't be resolved are skipped with a warning.
+   * @param {string|{targets: string|null, config: object}} json - The serialized timeline.
+   * @returns {object|undefined} The timeline instance.
+   */
+  fromJSON(json) {
+    const { targets = null, config } =
+      (typeof json === "string" ? JSON.parse(json) : json) || {};
+    if (!config || config.type !== "timeline") {
+      console.warn("AnimeHelper.fromJSON() expects a serialized timeline.");
       return;
     }
 
-    pinElements.forEach((el) => {
-      el.style.position = "sticky";
-      el.style.top = start;
-    });
+    const { _callbacks: callbacks } = this.constructor;
+    const instances = this._instances;
+    const liveConfig = { ...config };
 
-    if (duration !== "auto") {
-      const relativeValues = ["-=", "+="];
-      if (relativeValues.some((value) => duration.includes(value))) {
-        const currentHeight = trackElement.offsetHeight;
-        const { value: durationValue } = this._parseCssValue(
-          duration.substring(2)
+    if (Array.isArray(config.steps)) {
+      liveConfig.steps = config.steps
+        .filter((step, index) => {
+          if (step.instance === undefined || instances.has(step.instance)) {
+            return true;
+          }
+          console.warn(
+            `AnimeHelper.fromJSON(): Skipped "steps[${index}]", "${step.instance}" is not a registered instance.`
+          );
+          return false;
+        })
+        .map((step) =>
+          step.instance === undefined
+            ? step
+            : { ...step, instance: instances.get(step.instance) }
         );
-        let newHeight = currentHeight;
+    }
 
-        if (duration.includes("+=")) {
-          newHeight = currentHeight + durationValue;
-        } else if (duration.includes("-=")) {
-          newHeight = currentHeight - durationValue;
-        }
-        trackElement.style.height = `${newHeight}px`;
-      } else {
-        trackElement.style.height = duration;
-      }
+    if (Array.isArray(config.call)) {
+      liveConfig.call = config.call
+        .filter(({ func }, index) => {
+          if (callbacks.has(func)) return true;
+          console.warn(
+            `AnimeHelper.fromJSON(): Skipped "call[${index}]", "${func}" is not a registered callback.`
+          );
+          return false;
+        })
+        .map((callDef) => ({ ...callDef, func: callbacks.get(callDef.func) }));
     }
+
+    return this.observe(targets, liveConfig);
   }
 
   /**
-   * Resolves targets (string, array, etc.) but scopes the search to within a parent element.
-   * @param {string|Array|HTMLElement|NodeList} targets - The targets to resolve.
-   * @param {HTMLElement} parent - The parent element to search within.
-   * @returns {Array<HTMLElement>} An array of the found elements.
+   * Converts a config value into a JSON-compatible value. Undefined values are dropped.
+   * @param {*} value - The value to convert.
+   * @param {string} path - The path of the value in the config, used in error messages.
+   * @returns {*} The JSON-compatible value.
+   * @throws {Error} If the value contains functions, elements or other non-plain objects.
    * @private
    */
-  _resolveScopedTargets(targets, parent) {
-    // If no parent is provided, we default to the global resolver.
-    if (!parent) {
-      return this._resolveTargetsFn(targets);
+  _toJSONValue(value, path) {
+    if (
+      value === null ||
+      ["string", "number", "boolean"].includes(typeof value)
+    ) {
+      return value;
     }
-    // First, use the powerful global resolver to handle all input types.
-    const allPossibleTargets = this._resolveTargetsFn(targets);
-    // Then, filter the results to keep only the elements contained within the parent.
-    return allPossibleTargets.filter((el) => parent.contains(el));
+    if (Array.isArray(value)) {
+      return value.map((item, index) =>
+        this._toJSONValue(item, `${path}[${index}]`)
+      );
+    }
+    if (
+      typeof value === "object" &&
+      Object.getPrototypeOf(value) === Object.prototype
+    ) {
+      return Object.entries(value).reduce((acc, [key, item]) => {
+        if (item !== undefined) {
+          acc[key] = this._toJSONValue(item, path ? `${path}.${key}` : key);
+        }
+        return acc;
+      }, {});
+    }
+    throw new Error(
+      `AnimeHelper.toJSON(): "${path}" can't be serialized (${typeof value}).`
+    );
   }
 
-  /* ========================== CORE METHODS ================================ */
+  /**
+   * Resolves what `observe()` would create, without calling anime.js or changing the DOM.
+   * Every anime.js factory call is recorded with its resolved elements and final params,
+   * timelines with their children and positions, and staggers as `{ stagger, ...params }` objects.
+   * The `run` function of `type: 'scope'` is not called, and split text is planned on detached
+   * fragments (lines as a single one, since they depend on the layout).
+   * @param {string|HTMLElement|Array<HTMLElement>|null} targets - The targets that would be passed to `observe()`.
+   * @param {object} config - The configuration object that would be passed to `observe()`.
+   * @returns {{name: string|undefined, instance: object|undefined, calls: Array<object>, pin: object|undefined}}
+   * The plan: the registry name, the recorded call `observe()` would return, every recorded call in order,
+   * and the pin's elements and style mutations.
+   */
+  plan(targets, config) {
+    const plan = {
+      name: undefined,
+      instance: undefined,
+      calls: [],
+      pin: undefined,
+    };
+    const planner = this._createPlanner(plan);
+    plan.instance = planner.observe(targets, config);
+    plan.name = planner._getRegistryName(plan.instance);
+    return plan;
+  }
 
   /**
-   * Initializes the AnimeHelper instance.
-   * @param {object} animeInstance - An instance of the Anime.js library.
+   * Creates a helper recording its anime.js calls into a plan instead of making them.
+   * It shares this helper's settings, with its own empty registry and no lifecycle events.
+   * @param {{calls: Array<object>, pin: object|undefined}} plan - The plan to record into.
+   * @returns {AnimeHelper} The planning helper.
+   * @private
    */
-  constructor(animeInstance) {
-    const lib =
-      animeInstance ||
-      (typeof window !== "undefined" ? window.anime : undefined);
-    if (!lib) throw new Error("Anime.js not found.");
-    this._anime = lib;
-    this._animateFn = lib.animate || lib;
-    this._timelineFn = lib.createTimeline || lib.timeline;
-    this._scopeFn = lib.createScope || lib.scope;
-    this._resolveTargetsFn = lib.utils?.$ || lib.$;
-    this._textSplitFn = lib.text?.split || lib.splitText;
-    this._scrollFn = lib.scroll || lib.onScroll;
-    this._animatable = lib.animatable || lib.createAnimatable;
+  _createPlanner(plan) {
+    const planner = Object.create(this);
+    const resolve = (targets) => this._resolvePlanTargets(targets);
+    const record = (factory, details, methods = {}) => {
+      const call = { factory, ...details };
+      // The instance API is non-enumerable, so the recorded calls stay readable in logs and snapshots.
+      Object.entries({
+        currentTime: 0,
+        duration: 0,
+        paused: true,
+        completed: false,
+        play: () => call,
+        pause: () => call,
+        seek: () => call,
+        init: () => call,
+        revert: () => call,
+        ...methods,
+      }).forEach(([key, value]) =>
+        Object.defineProperty(call, key, {
+          value,
+          writable: true,
+          configurable: true,
+        })
+      );
+      plan.calls.push(call);
+      return call;
+    };
+
+    Object.assign(planner, {
+      _instances: new Map(),
+      _instanceInfo: new Map(),
+      _syncQueue: [],
+      _ownInstances: new Set(),
+      _autoInstances: new Map(),
+      _anime: {
+        ...this._anime,
+        stagger: (value, staggerParams) => ({
+          stagger: value,
+          ...staggerParams,
+        }),
+      },
+      _resolveTargetsFn: resolve,
+      _animateFn: (targets, params) =>
+        record("animate", { targets, elements: resolve(targets), params }),
+      _animatable: (targets, params) =>
+        record("createAnimatable", {
+          targets,
+          elements: resolve(targets),
+          params,
+        }),
+      _scrollFn: (params) => record("onScroll", { params }),
+      _timelineFn: (params) => {
+        const timeline = record(
+          "createTimeline",
+          { params, children: [], labels: {} },
+          {
+            add: (targets, params, position) => {
+              timeline.children.push({
+                targets,
+                elements: resolve(targets),
+                params,
+                position,
+              });
+              return timeline;
+            },
+            sync: (instance, position) => {
+              timeline.children.push({ sync: instance, position });
+              return timeline;
+            },
+            call: (callback, position) => {
+              timeline.children.push({ call: callback, position });
+              return timeline;
+            },
+            label: (label, position) => {
+              timeline.labels[label] = position;
+              return timeline;
+            },
+          }
+        );
+        return timeline;
+      },
+      _scopeFn: (params) => {
+        const queries = params.mediaQueries || {};
+        const scope = record(
+          "createScope",
+          { params },
+          {
+            matches: Object.keys(queries).reduce((acc, key) => {
+              acc[key] =
+                typeof window !== "undefined" &&
+                typeof window.matchMedia === "function" &&
+                window.matchMedia(queries[key]).matches;
+              return acc;
+            }, {}),
+            add: (constructor) => {
+              constructor(scope);
+              return scope;
+            },
+            register: () => scope,
+          }
+        );
+        return scope;
+      },
+      _textSplitFn: (targets, params) => {
+        const element = resolve(targets)[0];
+        const text = element ? element.textContent : "";
+        const fragment = (content) => {
+          const span = document.createElement("span");
+          span.textContent = content;
+          return span;
+        };
+        const split = record(
+          "text.split",
+          {
+            targets,
+            elements: element ? [element] : [],
+            params,
+            lines: text.trim() ? [fragment(text.trim())] : [],
+            words: text.split(/\s+/).filter(Boolean).map(fragment),
+            chars: [...text.replace(/\s+/g, "")].map(fragment),
+          },
+          { ready: true, addEffect: (effect) => effect(split) }
+        );
+        return split;
+      },
+      // The scope is recorded without calling the user's `run` function.
+      _createScopedAnimation: (targets, config) =>
+        planner._scopeFn({ ...config.scopeParams, root: targets }),
+      _createPin: (parentTarget, pinParams) => {
+        plan.pin = planner._planPin(parentTarget, pinParams);
+        return plan.pin && { ...plan.pin, revert: () => {} };
+      },
+      _createStaticPin: (parentTarget, pinParams) => {
+        plan.pin = planner._planPin(parentTarget, pinParams, true);
+        return plan.pin && { ...plan.pin, static: true, revert: () => {} };
+      },
+      // The panel timelines follow the rendered layout, so they aren't planned.
+      _createPanelTimelines: () => () => {},
+      // The layout change isn't run while planning, so the plan shows the transition of the current layout.
+      _createFlipAnimation: (targets, config, parent) =>
+        this._createFlipAnimation.call(
+          planner,
+          targets,
+          {
+            ...config,
+            flipParams: { ...config.flipParams, mutate: undefined },
+          },
+          parent
+        ),
+      // The children of nested FLIP elements aren't counter-scaled while planning.
+      _correctFlipScale: () => ({ update: () => {}, restore: () => {} }),
+      // The SVG attributes of drawn elements aren't changed while planning.
+      _prepareDrawTargets: (targets, params) => ({ targets, params }),
+      // Input and trigger listeners aren't attached while planning.
+      _bindInputs: () => () => {},
+      _bindTrigger: () => () => {},
+      _emit: () => {},
+      _emitOnComplete: () => {},
+      _scrollObservers: new Set(),
+      _debugOverlay: null,
+    });
+    return planner;
   }
 
   /**
-   * Creates a scroll observer if scrollParams are provided.
-   * @param {string|HTMLElement|Array<HTMLElement>} targets - The element to observe.
-   * @param {object} config - The main configuration object.
-   * @returns {object|undefined} An Anime.js scroll observer instance.
+   * Resolves the elements and style mutations of a pin without applying them.
+   * @param {HTMLElement} parentTarget - The element that would act as the scrollable track.
+   * @param {object} config - The pin configuration from `pinParams`.
+   * @param {boolean} [isStatic=false] - Whether the horizontal pin is laid out for reduced motion (see `_createStaticPin()`).
+   * @returns {{track: HTMLElement, elements: Array<HTMLElement>, horizontal: object|null,
+   * mutations: Array<{element: HTMLElement, styles: object}>}|undefined}
+   * The planned pin, or undefined if its elements can't be found.
    * @private
    */
-  _createScrollObserver(targets, config) {
-    if (!this._scrollFn || !config.scrollParams) {
-      return undefined;
-    }
+  _planPin(parentTarget, config, isStatic = false) {
+    const resolvedPin = this._resolvePin(parentTarget, config);
+    if (!resolvedPin) return;
+    const {
+      trackElement,
+      pinElements,
+      start,
+      duration,
+      parsedDuration,
+      horizontal,
+    } = resolvedPin;
 
-    const { scrollParams, scrollContainer } = config;
-    const observerTarget = this._resolveTargetsFn(targets)[0];
+    if (isStatic) {
+      return {
+        track: trackElement,
+        elements: pinElements,
+        horizontal,
+        mutations: [
+          { element: pinElements[0], styles: { "overflow-x": "auto" } },
+        ],
+      };
+    }
 
-    if (!observerTarget) {
-      console.warn(
-        `AnimeHelper: Could not find a target for the scroll observer.`
+    const mutations = pinElements.map((element) => ({
+      element,
+      styles: { position: "sticky", top: start },
+    }));
+    if (horizontal) {
+      mutations[0].styles["overflow-x"] = "clip";
+      const { distance, height } = this._measureHorizontalPin(
+        pinElements[0],
+        horizontal.element
       );
-      return undefined;
+      horizontal.distance = distance;
+      mutations.push({
+        element: trackElement,
+        styles: { height: `${height}px` },
+      });
+    } else if (parsedDuration) {
+      mutations.push({
+        element: trackElement,
+        styles: {
+          height: parsedDuration.operator
+            ? `${this._getRelativePinHeight(
+                parsedDuration,
+                trackElement.offsetHeight
+              )}px`
+            : duration,
+        },
+      });
     }
-
-    const observerConfig = {
-      target: observerTarget,
-      container: scrollContainer,
-      ...scrollParams,
+    return {
+      track: trackElement,
+      elements: pinElements,
+      horizontal,
+      mutations,
     };
+  }
 
-    return this._scrollFn(observerConfig);
+  /**
+   * Resolves targets into an array of elements with the DOM only, for `plan()`.
+   * @param {string|HTMLElement|Array<HTMLElement>|NodeList|null} targets - The targets to resolve.
+   * @returns {Array<HTMLElement|object>} The resolved targets.
+   * @private
+   */
+  _resolvePlanTargets(targets) {
+    if (targets === null || targets === undefined) return [];
+    if (typeof targets === "string") {
+      if (typeof document === "undefined") return [];
+      try {
+        return [...document.querySelectorAll(targets)];
+      } catch (error) {
+        return [];
+      }
+    }
+    if (
+      Array.isArray(targets) ||
+      (typeof NodeList !== "undefined" && targets instanceof NodeList)
+    ) {
+      return [...targets].flatMap((target) => this._resolvePlanTargets(target));
+    }
+    return [targets];
   }
 
   /**
-   * The main method to create and control animations.
-   * @param {string|HTMLElement|Array<HTMLElement>} targets - The primary target for the animation or effect.
-   * @param {object} config - The configuration object for the animation.
-   * @returns {object|undefined} The created Anime.js instance.
+   * Creates a stateful, controllable animatable instance.
+   * @param {string|HTMLElement|Array<HTMLElement>} targets - The animation targets.
+   * @param {object} config - The animatable parameters object.
+   * @param {object|Array<object>} [inputs] - The input bindings that feed the animatable.
+   * @returns {object} An anime.js animatable instance.
+   * @private
    */
-  observe(targets, config) {
-    if (!config) {
-      console.warn("AnimeHelper.observe() expects a configuration object.");
-      return;
+  _createAnimatable(targets, config, inputs) {
+    const animatable = this._animatable(targets, config);
+    if (animatable && inputs) {
+      this._onRevert(animatable, this._bindInputs(animatable, targets, inputs));
     }
+    return animatable;
+  }
 
-    let animationInstance;
-    let animationTarget = targets;
-    let observerTarget = targets;
+  /**
+   * Feeds an animatable from its input bindings. Each source reports its `x` and `y` axes as a raw value
+   * and a value normalized between -1 and 1, and `map` sends them to animatable properties.
+   * With a `range`, the normalized value is mapped onto it; otherwise the raw value is used.
+   * Each update lasts `duration` milliseconds, or `smoothing` (0 to 1) times `_inputSmoothingDuration`.
+   * @param {object} animatable - The anime.js animatable instance.
+   * @param {string|HTMLElement|Array<HTMLElement>} targets - The animatable targets.
+   * @param {object|Array<object>} inputs - The input bindings.
+   * @returns {Function} A function that removes the listeners of every binding.
+   * @private
+   */
+  _bindInputs(animatable, targets, inputs) {
+    const elements = this._resolveTargetsFn(targets);
+    const removers = [].concat(inputs).map((input) => {
+      const { source = "pointer", map = {}, range, smoothing } = input;
+      const method = this.constructor._inputSources[source];
+      if (!method) {
+        console.warn(`AnimeHelper: Unknown input source "${source}".`);
+        return () => {};
+      }
+      const factor =
+        typeof smoothing === "number"
+          ? Math.min(1, Math.max(0, smoothing))
+          : undefined;
+      if (factor !== smoothing) {
+        console.warn(
+          `AnimeHelper: "smoothing" is a factor between 0 and 1, got ${smoothing}. Use "duration" for a duration in milliseconds.`
+        );
+      }
+      const duration =
+        input.duration ??
+        (factor === undefined
+          ? undefined
+          : factor * this.constructor._inputSmoothingDuration);
 
-    if (config.pin) {
-      const pinParams = config.pinParams || {};
-      observerTarget = targets;
-      animationTarget = pinParams.target || targets;
-      this._createPin(targets, pinParams);
-      config.type = "scroll";
-      config.scrollParams = {
-        target: observerTarget,
-        enter: "start start",
-        leave: "end end",
-        ...config.scrollParams,
+      const properties = Object.values(map).flat();
+      properties
+        .filter((property) => typeof animatable[property] !== "function")
+        .forEach((property) =>
+          console.warn(
+            `AnimeHelper: "${property}" is not a property of the animatable. Add it to "params" to drive it from an input.`
+          )
+        );
+
+      const apply = (axes) => {
+        Object.entries(map).forEach(([axis, mapped]) => {
+          if (!axes[axis]) return;
+          const [raw, normalized] = axes[axis];
+          [].concat(mapped).forEach((property) => {
+            if (typeof animatable[property] !== "function") return;
+            const propertyRange = Array.isArray(range)
+              ? range
+              : range?.[property];
+            const value = propertyRange
+              ? propertyRange[0] +
+                ((normalized + 1) / 2) * (propertyRange[1] - propertyRange[0])
+              : raw;
+            animatable[property](value, duration);
+          });
+        });
       };
-    }
 
-    if (config.type === "scroll") {
-      const finalAnimationTarget =
-        config.animationTarget ||
-        config.pinParams?.target ||
-        config.pinParams?.targets ||
-        targets;
-      const finalObserverTarget = config.animationTarget
-        ? targets
-        : finalAnimationTarget;
+      return this[method]({ ...input, elements }, apply);
+    });
+    return () => removers.forEach((remove) => remove());
+  }
 
-      animationInstance = this._createScrollAnimation(
-        finalAnimationTarget,
-        finalObserverTarget,
-        config
+  /**
+   * Reports the pointer position from the center of the viewport, the animatable's first target or another element.
+   * Relative to the target, the pointer is only followed over the target, and the axes return to 0 when it leaves.
+   * @param {object} input - The input binding, with the resolved `elements` of the animatable.
+   * @param {Function} apply - Receives the `{x, y}` axes as `[raw, normalized]` pairs.
+   * @returns {Function} A function that removes the listeners.
+   * @private
+   */
+  _listenPointer(input, apply) {
+    const { relativeTo = "viewport", elements } = input;
+    const isTarget = relativeTo === "target";
+    const box = isTarget
+      ? elements[0]
+      : relativeTo === "viewport"
+      ? null
+      : this._resolveTargetsFn(relativeTo)[0];
+    const source = isTarget ? elements[0] : window;
+    if (!source || (relativeTo !== "viewport" && !box)) {
+      console.warn(
+        `AnimeHelper: Could not find the "${relativeTo}" element of the pointer input.`
       );
-    } else {
-      const scrollObserver = this._createScrollObserver(observerTarget, config);
-      const effectiveParams = { ...(config.params || {}) };
-      if (scrollObserver) {
-        effectiveParams.autoplay = scrollObserver;
-      } else if (config.reusable) {
-        effectiveParams.autoplay = false;
-        delete config.reusable;
-      }
-      const effectiveConfig = { ...config, params: effectiveParams };
-
-      switch (effectiveConfig.type) {
-        case "animatable":
-          animationInstance = this._createAnimatable(
-            animationTarget,
-            config.params
-          );
-          break;
-        case "splitText":
-          animationInstance = this._createTextSplitAnimation(
-            animationTarget,
-            effectiveConfig
-          );
-          break;
-        case "scope":
-          animationInstance = this._createScopedAnimation(
-            animationTarget,
-            effectiveConfig
-          );
-          break;
-        case "timeline":
-          animationInstance = this._buildTimeline(
-            animationTarget,
-            effectiveConfig
-          );
-          break;
-        default:
-          animationInstance = this._createSingleAnimation(
-            animationTarget,
-            effectiveConfig
-          );
-      }
+      return () => {};
     }
 
-    if (typeof targets === "string" && animationInstance) {
-      this.constructor._instances.set(targets, animationInstance);
+    const getAxis = (position, start, size) => {
+      const raw = position - start - size / 2;
+      return [raw, this._clampUnit(raw / (size / 2 || 1))];
+    };
+    const onMove = (event) => {
+      const rect = box
+        ? box.getBoundingClientRect()
+        : {
+            left: 0,
+            top: 0,
+            width: window.innerWidth,
+            height: window.innerHeight,
+          };
+      apply({
+        x: getAxis(event.clientX, rect.left, rect.width),
+        y: getAxis(event.clientY, rect.top, rect.height),
+      });
+    };
+    const onLeave = () => apply({ x: [0, 0], y: [0, 0] });
+
+    source.addEventListener("pointermove", onMove);
+    if (isTarget) source.addEventListener("pointerleave", onLeave);
+    return () => {
+      source.removeEventListener("pointermove", onMove);
+      source.removeEventListener("pointerleave", onLeave);
+    };
+  }
+
+  /**
+   * Reports the scroll velocity of the window or of a `container`, in pixels per millisecond.
+   * It's normalized over 3px/ms, and the axes return to 0 shortly after the scroll stops.
+   * @param {object} input - The input binding.
+   * @param {Function} apply - Receives the `{x, y}` axes as `[raw, normalized]` pairs.
+   * @returns {Function} A function that removes the listener.
+   * @private
+   */
+  _listenScrollVelocity(input, apply) {
+    const container = input.container
+      ? this._resolveTargetsFn(input.container)[0]
+      : window;
+    if (!container) {
+      console.warn(
+        `AnimeHelper: Could not find the "${input.container}" container of the scroll input.`
+      );
+      return () => {};
     }
 
-    if (config.syncWith) {
-      this.constructor._syncQueue.push({
-        slave: animationInstance,
-        masterSelector: config.syncWith,
-        offset: config.offset,
+    const getPosition = () =>
+      container === window
+        ? { x: window.scrollX, y: window.scrollY }
+        : { x: container.scrollLeft, y: container.scrollTop };
+    let last = { ...getPosition(), time: performance.now() };
+    let idleTimer;
+
+    const onScroll = () => {
+      const time = performance.now();
+      const position = getPosition();
+      const elapsed = Math.max(time - last.time, 1);
+      const getAxis = (distance) => {
+        const raw = distance / elapsed;
+        return [raw, this._clampUnit(raw / 3)];
+      };
+      apply({
+        x: getAxis(position.x - last.x),
+        y: getAxis(position.y - last.y),
       });
-    }
+      last = { ...position, time };
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => apply({ x: [0, 0], y: [0, 0] }), 100);
+    };
 
-    return animationInstance;
+    container.addEventListener("scroll", onScroll, { passive: true });
+    return () => {
+      clearTimeout(idleTimer);
+      container.removeEventListener("scroll", onScroll);
+    };
   }
 
   /**
-   * Creates a stateful, controllable animatable instance.
-   * @param {string|HTMLElement|Array<HTMLElement>} targets - The animation targets.
-   * @param {object} config - The animatable parameters object.
-   * @returns {object} An anime.js animatable instance.
+   * Reports the device tilt in degrees from its first reading: `x` from the left-right tilt (gamma)
+   * and `y` from the front-back tilt (beta). It's normalized over 45 degrees.
+   * @param {object} input - The input binding.
+   * @param {Function} apply - Receives the `{x, y}` axes as `[raw, normalized]` pairs.
+   * @returns {Function} A function that removes the listener.
+   * @private
+   */
+  _listenOrientation(input, apply) {
+    let origin;
+    const onOrientation = ({ beta, gamma }) => {
+      if (beta === null || gamma === null) return;
+      if (!origin) origin = { beta, gamma };
+      const getAxis = (raw) => [raw, this._clampUnit(raw / 45)];
+      apply({
+        x: getAxis(gamma - origin.gamma),
+        y: getAxis(beta - origin.beta),
+      });
+    };
+
+    window.addEventListener("deviceorientation", onOrientation);
+    return () => window.removeEventListener("deviceorientation", onOrientation);
+  }
+
+  /**
+   * Clamps a value between -1 and 1.
+   * @param {number} value - The value to clamp.
+   * @returns {number} The clamped value.
    * @private
    */
-  _createAnimatable(targets, config) {
-    return this._animatable(targets, config);
+  _clampUnit(value) {
+    return Math.min(1, Math.max(-1, value));
   }
 
   /**
@@ -546,18 +4458,48 @@ class AnimeHelper {
       ? this._resolveScopedTargets(animationTargets, observerTarget)
       : this._resolveTargetsFn(animationTargets);
 
-    return this._animateFn(finalAnimationTargets, {
-      ...params,
+    const animationParams = {
       ...this._getPreset(preset, config),
-      autoplay: this._scrollFn(scrollConfig),
+      ...this._getSvgParams(finalAnimationTargets, config),
+      ...params,
+    };
+
+    if (this._getMotion(config) !== "full") {
+      // Scrubbing is motion driven by the scroll: show the end state instead.
+      const svg = this._prepareDrawTargets(
+        finalAnimationTargets,
+        this._instantParams(animationParams)
+      );
+      const animation = this._animateFn(svg.targets, svg.params);
+      if (svg.restore) this._onRevert(animation, svg.restore);
+      const cssVars = this._createScrollCssVars(
+        scrollParams.cssVar,
+        observerTarget
+      );
+      if (cssVars) {
+        cssVars.write({ progress: 1, velocity: 0, backward: false });
+        this._onRevert(animation, cssVars.remove);
+      }
+      return animation;
+    }
+
+    const svg = this._prepareDrawTargets(finalAnimationTargets, {
+      ...animationParams,
+      autoplay: this._observeScroll(scrollConfig, config.name),
     });
+    const animation = this._animateFn(svg.targets, svg.params);
+    if (svg.restore) this._onRevert(animation, svg.restore);
+    return animation;
   }
 
   /**
    * Creates a text splitting animation.
+   * The text is re-split and the animation rebuilt (keeping its progress) whenever the splitter
+   * recomputes the lines, e.g. after a resize or a late font load.
    * @param {string|HTMLElement|Array<HTMLElement>} targets - The text element to split and animate.
    * @param {object} config - The main configuration object.
-   * @returns {object} An anime.js animation or timeline instance.
+   * @returns {object} An anime.js animation or timeline instance, or a paused empty timeline standing in
+   * for the lines until the fonts are loaded. `observe()` returns a handle forwarding to the current one.
    * @private
    */
   _createTextSplitAnimation(targets, config) {
@@ -574,62 +4516,383 @@ class AnimeHelper {
       params: animationParams = {},
       timelineParams = {},
     } = config;
+    const { debug = false, splitOptions = {} } = splitParams;
 
-    if (Array.isArray(splitBy)) {
-      return this._createMultiSplitTimeline(targets, {
-        splitBy,
-        splitParams,
-        timelineParams,
-      });
-    }
+    const motion = this._getMotion(config);
+    const isMultiSplit = Array.isArray(splitBy);
 
-    const {
-      from = "bottom",
-      stagger = 50,
-      distance = "1em",
-      debug = false,
-      splitOptions = {},
-    } = splitParams;
-
-    const text = this._textSplitFn(targets, { [splitBy]: splitOptions, debug });
-    const splitTargets = text[splitBy];
-
-    if (!splitTargets || splitTargets.length === 0) {
-      console.warn(`AnimeHelper: Could not find any "${splitBy}" to animate.`);
+    if (
+      isMultiSplit &&
+      !this._isValidMultiSplit(splitBy, splitOptions, timelineParams)
+    ) {
       return;
     }
 
-    const transforms = {
-      top: { translateY: [-distance, 0] },
-      bottom: { translateY: [distance, 0] },
-      left: { translateX: [-distance, 0] },
-      right: { translateX: [distance, 0] },
-    };
+    const splitterParams = isMultiSplit
+      ? splitBy.reduce((acc, curr, index) => {
+          acc[curr] = splitOptions[index];
+          return acc;
+        }, {})
+      : { [splitBy]: splitOptions };
+    // The container gets an aria-label instead of anime.js' visually hidden copy of the text.
+    const text = this._textSplitFn(targets, {
+      ...splitterParams,
+      accessible: false,
+      debug: debug || !!this._debugOverlay,
+    });
+    const restoreLabel = this._labelSplitText(text);
 
-    const generatedProps = {
-      opacity: [0, 1],
-      ...(transforms[from] || transforms.bottom),
+    const build = (split) =>
+      isMultiSplit
+        ? this._createMultiSplitTimeline(split, {
+            splitBy,
+            splitParams,
+            timelineParams,
+            autoplay: animationParams.autoplay,
+            motion,
+          })
+        : this._createSplitAnimation(split, {
+            splitBy,
+            splitParams,
+            animationParams,
+            motion,
+          });
+
+    let current;
+    let placeholder;
+    const rebuild = (split) => {
+      this._hideSplitFragments(split);
+      const next = build(split);
+      if (!next) return;
+      const previous = current || placeholder;
+      current = next;
+      if (previous) {
+        this._replaceInstance(previous.instance, next.instance, {
+          keepProgress: previous !== placeholder,
+        });
+        previous.revert();
+      }
+      placeholder = null;
     };
 
+    if (typeof text.addEffect === "function") {
+      text.addEffect(rebuild);
+    } else {
+      rebuild(text);
+    }
+
+    if (!current) {
+      if (text.ready !== false) {
+        console.warn(
+          `AnimeHelper: Could not find any "${splitBy}" to animate.`
+        );
+        this._revertSplit(text);
+        restoreLabel();
+        return;
+      }
+      // Lines are split once the fonts are loaded: a paused timeline stands in until then.
+      placeholder = {
+        instance: this._timelineFn({ autoplay: false }),
+        revert: () => {},
+      };
+    }
+
+    const { instance } = current || placeholder;
+    this._onRevert(instance, () => {
+      if (current) current.revert();
+      this._revertSplit(text);
+      restoreLabel();
+    });
+    return instance;
+  }
+
+  /**
+   * Creates the animation of a single split type.
+   * @param {object} split - The anime.js TextSplitter.
+   * @param {object} config - An object containing splitBy, splitParams, animationParams and the motion policy.
+   * @returns {{instance: object, revert: Function}|undefined} The animation and a function reverting its text effect,
+   * or undefined if there is nothing to animate.
+   * @private
+   */
+  _createSplitAnimation(
+    split,
+    { splitBy, splitParams, animationParams, motion }
+  ) {
+    const { stagger = 50, effect = "reveal", order = "start" } = splitParams;
+    const splitTargets = split[splitBy];
+    if (!splitTargets || splitTargets.length === 0) return;
+
+    const textEffect = this._createTextEffect(
+      effect,
+      splitTargets,
+      splitParams,
+      motion
+    );
+
     const finalConfig = {
-      delay: this._delayToStagger(stagger),
-      ...generatedProps,
+      delay: this._delayToStagger(
+        stagger,
+        this._getStaggerOrder(order),
+        splitTargets
+      ),
+      ...textEffect.params,
       ...animationParams,
+      onUpdate: this._chainCallbacks(
+        textEffect.onUpdate,
+        animationParams.onUpdate
+      ),
     };
 
-    return this._animateFn(splitTargets, finalConfig);
+    const animation = this._animateFn(
+      splitTargets,
+      motion === "none" ? this._instantParams(finalConfig) : finalConfig
+    );
+    return { instance: animation, revert: textEffect.revert };
   }
 
   /**
-   * Creates a multi-layered text splitting timeline.
-   * @param {string|HTMLElement|Array<HTMLElement>} targets - The text element to split.
-   * @param {object} config - An object containing splitBy, splitParams, and timelineParams.
-   * @returns {object} An anime.js timeline instance.
+   * Sets an `aria-label` with the original text on a split text container.
+   * @param {object} split - The anime.js TextSplitter.
+   * @returns {Function} A function restoring the container's original `aria-label`.
    * @private
    */
-  _createMultiSplitTimeline(targets, { splitBy, splitParams, timelineParams }) {
-    const { debug = false, splitOptions = {} } = splitParams;
+  _labelSplitText(split) {
+    const container = split.$target;
+    if (!container) return () => {};
+
+    const label = container.getAttribute("aria-label");
+    const template = document.createElement("template");
+    template.innerHTML = split.html || "";
+    container.setAttribute(
+      "aria-label",
+      template.content.textContent.replace(/\s+/g, " ").trim()
+    );
+    return () => {
+      if (label === null) {
+        container.removeAttribute("aria-label");
+      } else {
+        container.setAttribute("aria-label", label);
+      }
+    };
+  }
+
+  /**
+   * Hides the split fragments from assistive technologies, which read the container's `aria-label` instead.
+   * @param {object} split - The anime.js TextSplitter.
+   * @private
+   */
+  _hideSplitFragments(split) {
+    ["lines", "words", "chars"].forEach((type) => {
+      (split[type] || []).forEach((el) =>
+        el.setAttribute("aria-hidden", "true")
+      );
+    });
+  }
+
+  /**
+   * Moves the registry entries and revert cleanups of an instance to the instance rebuilt in its place,
+   * then reverts the previous instance.
+   * @param {object} previous - The instance being replaced.
+   * @param {object} next - The rebuilt instance.
+   * @param {object} [options] - Options for the replacement.
+   * @param {boolean} [options.keepProgress=true] - Whether the rebuilt instance resumes at the previous one's time and play state.
+   * @private
+   */
+  _replaceInstance(previous, next, { keepProgress = true } = {}) {
+    const instances = this._instances;
+    const cleanupsMap = this.constructor._revertCleanups;
+    // Emptied first, so reverting the previous instance doesn't run the cleanups.
+    const cleanups = (cleanupsMap.get(previous) || []).splice(0);
+
+    if (keepProgress) {
+      next.seek(
+        previous.completed ? next.duration : previous.currentTime,
+        true
+      );
+      if (previous.paused || previous.completed) next.pause();
+    }
+    // Linked scroll observers were linked to the rebuilt instance, so they are not reverted with the previous one.
+    previous.revert();
+
+    cleanups.forEach((cleanup) => this._onRevert(next, cleanup));
+    if (this._ownInstances.delete(previous)) this._ownInstances.add(next);
+    instances.forEach((instance, name) => {
+      if (instance !== previous) return;
+      instances.set(name, next);
+      this._emitOnComplete(name, next);
+    });
+    this._autoInstances.forEach((instance, element) => {
+      if (instance === previous) this._autoInstances.set(element, next);
+    });
+  }
+
+  /**
+   * Creates the animation params of a split text effect.
+   * Under reduced motion, 'scramble' falls back to a fade, and 'none' disables every effect but the fade.
+   * @param {string} effect - The effect: 'reveal', 'typewriter' or 'scramble'.
+   * @param {Array<HTMLElement>} fragments - The split chars, words or lines.
+   * @param {object} splitParams - The `splitParams` config, read for the effect's options.
+   * @param {string} motion - The motion policy.
+   * @returns {{params: object, onUpdate: Function|undefined, revert: Function}} The effect's anime.js params
+   * (overridden by the user's params), an update callback, and a function removing what the effect added to the DOM.
+   * @private
+   */
+  _createTextEffect(effect, fragments, splitParams, motion) {
+    const fadeEffect = {
+      params: { opacity: [0, 1] },
+      onUpdate: undefined,
+      revert: () => {},
+    };
+    if (motion === "none") return fadeEffect;
+
+    switch (effect) {
+      case "typewriter":
+        return this._createTypewriterEffect(
+          fragments,
+          splitParams.cursor ?? true,
+          motion
+        );
+      case "scramble":
+        return motion === "full"
+          ? this._createScrambleEffect(
+              fragments,
+              splitParams.characters || this.constructor._scrambleCharacters
+            )
+          : fadeEffect;
+      default: {
+        const { from = "bottom", distance = "1em" } = splitParams;
+        return {
+          ...fadeEffect,
+          params: {
+            opacity: [0, 1],
+            ...(motion === "full"
+              ? this.constructor._directionalOffset(from, distance)
+              : {}),
+          },
+        };
+      }
+    }
+  }
+
+  /**
+   * Creates a typewriter effect: fragments appear instantly one after the other,
+   * followed by an optional blinking cursor.
+   * @param {Array<HTMLElement>} fragments - The split fragments.
+   * @param {boolean|string} cursor - Whether to show a cursor, or the cursor's text.
+   * @param {string} motion - The motion policy. The cursor doesn't blink under reduced motion.
+   * @returns {{params: object, onUpdate: Function|undefined, revert: Function}} The effect.
+   * @private
+   */
+  _createTypewriterEffect(fragments, cursor, motion) {
+    const params = { opacity: [0, 1], duration: 1, ease: "linear" };
+    if (!cursor) return { params, onUpdate: undefined, revert: () => {} };
+
+    const cursorElement = document.createElement("span");
+    cursorElement.className = "anime-helper-cursor";
+    cursorElement.setAttribute("aria-hidden", "true");
+    cursorElement.textContent = typeof cursor === "string" ? cursor : "|";
+    fragments[0].before(cursorElement);
+
+    const blink =
+      motion === "full"
+        ? this._animateFn(cursorElement, {
+            opacity: [1, 0],
+            duration: 500,
+            ease: (t) => Math.round(t), // Hard blink, without fading.
+            loop: true,
+            alternate: true,
+          })
+        : null;
+
+    return {
+      params,
+      onUpdate: () => {
+        const typed = fragments.filter(
+          (el) => parseFloat(el.style.opacity) > 0
+        );
+        const lastTyped = typed[typed.length - 1];
+        if (!lastTyped) {
+          if (fragments[0].previousSibling !== cursorElement) {
+            fragments[0].before(cursorElement);
+          }
+        } else if (lastTyped.nextSibling !== cursorElement) {
+          lastTyped.after(cursorElement);
+        }
+      },
+      revert: () => {
+        if (blink) blink.revert();
+        cursorElement.remove();
+      },
+    };
+  }
+
+  /**
+   * Creates a scramble effect: while a fragment fades in, its characters are replaced by random ones,
+   * then the original text is decoded once it is fully visible.
+   * @param {Array<HTMLElement>} fragments - The split fragments.
+   * @param {string} characters - The characters used for the scrambled text.
+   * @returns {{params: object, onUpdate: Function|undefined, revert: Function}} The effect.
+   * @private
+   */
+  _createScrambleEffect(fragments, characters) {
+    // Scramble the text nodes only, so nested split elements (e.g. chars inside words) are kept.
+    const textNodes = fragments.map((el) => {
+      const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+      const nodes = [];
+      while (walker.nextNode()) {
+        nodes.push({
+          node: walker.currentNode,
+          text: walker.currentNode.nodeValue,
+        });
+      }
+      return nodes;
+    });
+    const randomCharacter = () =>
+      characters[Math.floor(Math.random() * characters.length)];
+    const restore = ({ node, text }) => {
+      if (node.nodeValue !== text) node.nodeValue = text;
+    };
+
+    return {
+      params: { opacity: [0, 1] },
+      onUpdate: () => {
+        fragments.forEach((el, index) => {
+          const opacity = parseFloat(el.style.opacity);
+          const isScrambling = opacity > 0 && opacity < 1;
+          textNodes[index].forEach((textNode) => {
+            if (isScrambling) {
+              textNode.node.nodeValue = textNode.text.replace(
+                /\S/g,
+                randomCharacter
+              );
+            } else {
+              restore(textNode);
+            }
+          });
+        });
+      },
+      revert: () => textNodes.forEach((nodes) => nodes.forEach(restore)),
+    };
+  }
+
+  /**
+   * Restores the original markup of a split text element.
+   * @param {object} text - The anime.js TextSplitter instance.
+   * @private
+   */
+  _revertSplit(text) {
+    if (text && typeof text.revert === "function") text.revert();
+  }
 
+  /**
+   * Checks that the `timelineParams.steps` and `splitOptions` arrays match a `splitBy` array.
+   * @param {Array<string>} splitBy - The split types.
+   * @param {object|Array<object>} splitOptions - The `splitParams.splitOptions` value.
+   * @param {object} timelineParams - The `timelineParams` config.
+   * @returns {boolean} Whether the multi-layered split can be built.
+   * @private
+   */
+  _isValidMultiSplit(splitBy, splitOptions, timelineParams) {
     if (
       !timelineParams ||
       !Array.isArray(timelineParams.steps) ||
@@ -638,35 +4901,91 @@ class AnimeHelper {
       console.error(
         "AnimeHelper: When 'splitBy' is an array, 'timelineParams.steps' must also be an array of the same length."
       );
-      return;
+      return false;
     }
 
     if (!Array.isArray(splitOptions) || splitOptions.length === 0) {
       console.error(
         "AnimeHelper: When 'splitBy' is an array, 'splitOptions' must also be an array of the same length or contain at least one element."
       );
-      return;
+      return false;
     }
+    return true;
+  }
 
-    const buildSplit = splitBy.reduce((acc, curr, index) => {
-      acc[curr] = splitOptions[index];
-      return acc;
-    }, {});
-
-    const splitValues = this._textSplitFn(targets, { ...buildSplit, debug });
+  /**
+   * Creates a multi-layered text splitting timeline.
+   * The steps are copied, so the timeline can be rebuilt from the same config after a re-split.
+   * @param {object} split - The anime.js TextSplitter.
+   * @param {object} config - An object containing splitBy, splitParams, timelineParams, the `autoplay` set by
+   * `observe()` (a scroll observer, or false for a trigger or `reusable`) and the motion policy.
+   * @returns {{instance: object, revert: Function}} The timeline and a function reverting its text effects.
+   * @private
+   */
+  _createMultiSplitTimeline(
+    split,
+    { splitBy, splitParams, timelineParams, autoplay, motion }
+  ) {
+    const textEffects = [];
 
-    timelineParams.steps.forEach((step, index) => {
-      step.target = splitValues[splitBy[index]];
+    const steps = timelineParams.steps.map((originalStep, index) => {
+      const step = {
+        ...originalStep,
+        target: split[splitBy[index]],
+        params: originalStep.params && { ...originalStep.params },
+      };
+      const order = this._getStaggerOrder(step.order || splitParams.order);
       if (step.params && step.params.stagger) {
-        step.params.delay = this._delayToStagger(step.params.stagger);
+        step.params.delay = this._delayToStagger(
+          step.params.stagger,
+          order,
+          step.target
+        );
+        delete step.params.stagger;
       }
       if (step.stagger) {
-        step.offset = this._delayToStagger(step.stagger);
+        step.offset = this._delayToStagger(
+          step.stagger,
+          undefined,
+          step.target
+        );
         delete step.stagger;
       }
+
+      const effect = step.effect || splitParams.effect;
+      if (effect && step.target?.length) {
+        const textEffect = this._createTextEffect(
+          effect,
+          step.target,
+          splitParams,
+          motion
+        );
+        textEffects.push(textEffect);
+        step.params = {
+          ...textEffect.params,
+          ...step.params,
+          onUpdate: this._chainCallbacks(
+            textEffect.onUpdate,
+            step.params?.onUpdate
+          ),
+        };
+      }
+      return step;
     });
 
-    return this._buildTimeline(null, timelineParams);
+    const timeline = this._buildTimeline(null, {
+      ...timelineParams,
+      params:
+        autoplay === undefined
+          ? timelineParams.params
+          : { ...timelineParams.params, autoplay },
+      steps,
+      motion,
+    });
+    return {
+      instance: timeline,
+      revert: () => textEffects.forEach((textEffect) => textEffect.revert()),
+    };
   }
 
   /**
@@ -689,6 +5008,7 @@ class AnimeHelper {
     scope.add(() => {
       const userContext = {
         matches: scope.matches,
+        motion: this._getMotion(config),
         utils: this._anime.utils,
         methods: {
           register: (name, func) => scope.add(name, func),
@@ -711,19 +5031,411 @@ class AnimeHelper {
    * @private
    */
   _createSingleAnimation(targets, config, returnAnimation = true) {
-    let animationParams = { ...config.params };
-    if (config.preset) {
-      const preset = this.constructor._presets[config.preset];
-      if (preset) {
-        animationParams = { ...preset(config), ...animationParams };
-      }
-    }
+    let animationParams = {
+      ...this._getPreset(config.preset, config),
+      ...this._getSvgParams(targets, config),
+      ...config.params,
+    };
 
     if (!returnAnimation) {
       return animationParams;
     }
 
-    return this._animateFn(targets, animationParams);
+    if (this._getMotion(config) === "none") {
+      animationParams = this._instantParams(animationParams);
+    }
+
+    const svg = this._prepareDrawTargets(targets, animationParams);
+    const animation = this._animateFn(svg.targets, svg.params);
+    if (svg.restore) this._onRevert(animation, svg.restore);
+    return animation;
+  }
+
+  /**
+   * Builds the anime.js params of `config.svgParams`: a stroke `draw`, a `morph` to another shape, and a
+   * motion `path` with auto-rotation. anime.js v4's svg utilities are used, with fallbacks for older versions.
+   * @param {string|HTMLElement|Array<HTMLElement>} targets - The animated SVG elements.
+   * @param {object} config - The configuration object.
+   * @returns {object} The anime.js parameters, without transforms unless motion is full.
+   * @private
+   */
+  _getSvgParams(targets, config) {
+    if (!config.svgParams) return {};
+    const {
+      draw,
+      morph,
+      precision,
+      path,
+      autoRotate = true,
+    } = config.svgParams;
+    const svg = this._anime.svg || {};
+    const params = {};
+
+    if (draw === true) {
+      params.draw = ["0 0", "0 1"];
+    } else if (
+      Array.isArray(draw) &&
+      draw.every((v) => typeof v === "number")
+    ) {
+      // Percentages of the stroke drawn from its start, e.g. [0, 100].
+      params.draw = draw.map((percent) => `0 ${percent / 100}`);
+    } else if (draw) {
+      params.draw = draw;
+    }
+
+    if (morph) {
+      const shape = this._resolveTargetsFn(morph)[0];
+      const element = this._resolveTargetsFn(targets)[0];
+      if (!shape) {
+        console.warn(
+          `AnimeHelper: Could not find the shape to morph to ("${morph}").`
+        );
+      } else if (!element) {
+        console.warn(
+          `AnimeHelper: Could not find the element to morph into "${morph}".`
+        );
+      } else {
+        const attribute =
+          element.tagName.toLowerCase() === "path" ? "d" : "points";
+        // Without morphTo(), anime.js can only interpolate shapes with the same number of points.
+        params[attribute] = svg.morphTo
+          ? svg.morphTo(shape, precision)
+          : shape.getAttribute(attribute);
+      }
+    }
+
+    if (path) {
+      const pathElement = this._resolveTargetsFn(path)[0];
+      const legacyPath =
+        pathElement && !svg.createMotionPath && this._anime.path?.(pathElement);
+      const motionPath = !pathElement
+        ? undefined
+        : svg.createMotionPath
+        ? svg.createMotionPath(pathElement)
+        : legacyPath && {
+            translateX: legacyPath("x"),
+            translateY: legacyPath("y"),
+            rotate: legacyPath("angle"),
+          };
+      if (!motionPath) {
+        console.warn(
+          `AnimeHelper: Could not create a motion path from "${path}".`
+        );
+      } else {
+        const { rotate, ...translate } = motionPath;
+        Object.assign(params, translate, autoRotate ? { rotate } : {});
+      }
+    }
+
+    return this._getMotion(config) === "full"
+      ? params
+      : this._reduceParams(params);
+  }
+
+  /**
+   * Prepares the targets of params with a `draw` value (e.g. from `svgParams` or the `drawIn` preset).
+   * They become anime.js drawables when its svg utilities are available, and the draw is converted into
+   * dash values on a normalized path length otherwise. Targets that aren't SVG shapes are left out.
+   * @param {string|HTMLElement|Array<HTMLElement>} targets - The animation targets.
+   * @param {object} params - The anime.js parameters.
+   * @returns {{targets: *, params: object, restore: Function|undefined}} The targets and params to animate,
+   * and a function restoring the SVG attributes changed for the draw.
+   * @private
+   */
+  _prepareDrawTargets(targets, params) {
+    if (params.draw === undefined) return { targets, params };
+    const { draw, ...otherParams } = params;
+    const drawableTags = this.constructor._drawableTags;
+    const resolvedElements = this._resolveTargetsFn(targets);
+    const elements = resolvedElements.filter(
+      (el) =>
+        el.namespaceURI === "http://www.w3.org/2000/svg" &&
+        drawableTags.includes(el.localName)
+    );
+    const skipped = resolvedElements.length - elements.length;
+    if (skipped > 0) {
+      const shapes = drawableTags.join(", ");
+      console.warn(
+        `AnimeHelper: "draw" only applies to SVG shapes (${shapes}), so ${skipped} target(s) are skipped.`
+      );
+    }
+    if (elements.length === 0) return { targets, params: otherParams };
+
+    const restores = elements.map((el) =>
+      this._saveAttributes(el, [
+        "pathLength",
+        "stroke-dasharray",
+        "stroke-dashoffset",
+      ])
+    );
+    const restore = () => restores.forEach((fn) => fn());
+    if (this._anime.svg?.createDrawable) {
+      return {
+        targets: this._anime.svg.createDrawable(elements),
+        params,
+        restore,
+      };
+    }
+
+    const [from, to] = (Array.isArray(draw) ? draw : ["0 0", draw]).map(
+      (value) => `${value}`.split(" ").map(Number)
+    );
+    elements.forEach((el) => el.setAttribute("pathLength", "1"));
+    return {
+      targets: elements,
+      params: {
+        ...otherParams,
+        // The gap is longer than the path, so only the drawn segment shows.
+        strokeDasharray: [`${from[1] - from[0]} 2`, `${to[1] - to[0]} 2`],
+        strokeDashoffset: [-from[0], -to[0]],
+      },
+      restore,
+    };
+  }
+
+  /**
+   * Creates an instance of a custom type added with `registerType()`.
+   * The tools go through the helper's factories, so `plan()` records the handler's calls.
+   * @param {string|HTMLElement|Array<HTMLElement>|null} targets - The animation targets.
+   * @param {object} config - The effective configuration object.
+   * @returns {object|undefined} The instance returned by the type's handler.
+   * @private
+   */
+  _createCustomAnimation(targets, config) {
+    const { handler } = this.constructor._customTypes.get(config.type);
+    const tools = {
+      anime: this._anime,
+      animate: (animationTargets, params) =>
+        this._animateFn(animationTargets, params),
+      createTimeline: (params) => this._timelineFn(params),
+      getPreset: (preset = config.preset) => this._getPreset(preset, config),
+      stagger: (value, staggerParams, staggerTargets) =>
+        this._delayToStagger(value, staggerParams, staggerTargets),
+      resolveTargets: (children, parent) =>
+        this._resolveScopedTargets(children, parent),
+      onRevert: (instance, cleanup) => this._onRevert(instance, cleanup),
+      instantParams: (params) => this._instantParams(params),
+      motion: this._getMotion(config),
+    };
+    const elements =
+      targets === null || targets === undefined
+        ? []
+        : this._resolveTargetsFn(targets);
+    return handler(elements, config, tools);
+  }
+
+  /**
+   * Records the position and size of each element, before or after a FLIP layout change.
+   * @param {string|HTMLElement|Array<HTMLElement>} targets - The elements to record.
+   * @param {HTMLElement} [parent] - The element scoping a selector (e.g. the parent of a timeline).
+   * @returns {Map<HTMLElement, {rect: DOMRect, display: string}>} The layout of each element.
+   * @private
+   */
+  _captureFlipLayout(targets, parent) {
+    return new Map(
+      this._resolveScopedTargets(targets, parent).map((element) => [
+        element,
+        {
+          rect: element.getBoundingClientRect(),
+          display: getComputedStyle(element).display,
+        },
+      ])
+    );
+  }
+
+  /**
+   * Creates the timeline of a FLIP transition. The elements visible before and after `flipParams.mutate`
+   * move and resize from their old layout, the new ones play `enter`, and copies of the removed or hidden
+   * ones play `leave` at their old position.
+   * @param {string|HTMLElement|Array<HTMLElement>} targets - The elements whose layout changes.
+   * @param {object} config - The effective configuration object.
+   * @param {HTMLElement} [parent] - The element scoping a selector (e.g. the parent of a timeline).
+   * @returns {object} An anime.js timeline instance.
+   * @private
+   */
+  _createFlipAnimation(targets, config, parent) {
+    const {
+      mutate,
+      state,
+      stagger,
+      nested,
+      enter = { opacity: [0, 1] },
+      leave = { opacity: [1, 0] },
+    } = config.flipParams || {};
+    const { duration, ease, ...timelineParams } = config.params || {};
+    const motion = this._getMotion(config);
+    const first = state || this._captureFlipLayout(targets, parent);
+    if (typeof mutate === "function") mutate();
+    const last = this._captureFlipLayout(targets, parent);
+
+    const isVisible = (layout) =>
+      !!layout && (layout.rect.width > 0 || layout.rect.height > 0);
+    const visible = [...last.keys()].filter((el) => isVisible(last.get(el)));
+    const moving = visible.filter((el) => isVisible(first.get(el)));
+    const entering = visible.filter((el) => !isVisible(first.get(el)));
+    const leaving = [...first.keys()].filter(
+      (el) => isVisible(first.get(el)) && !isVisible(last.get(el))
+    );
+    // Removed elements can't be animated in place, so copies are animated at their old position.
+    const ghosts =
+      motion === "none"
+        ? []
+        : leaving.map((el) => this._createFlipGhost(el, first.get(el)));
+    const corrections =
+      nested && motion === "full"
+        ? this._correctFlipScale(moving, nested, last)
+        : undefined;
+    const cleanup = () => {
+      ghosts.splice(0).forEach((ghost) => ghost.remove());
+      corrections?.restore();
+    };
+
+    const timeline = this._timelineFn({
+      ...timelineParams,
+      onComplete: this._chainCallbacks(cleanup, timelineParams.onComplete),
+    });
+    this._onRevert(timeline, cleanup);
+    const staggerDelay = (elements) =>
+      stagger === undefined
+        ? {}
+        : { delay: this._delayToStagger(stagger, undefined, elements) };
+    const transitionParams = (params) => {
+      const resolvedParams =
+        typeof params === "string" || Array.isArray(params)
+          ? this._getPreset(params, config)
+          : motion === "full"
+          ? params
+          : this._reduceParams(params);
+      return { duration, ease, ...resolvedParams };
+    };
+
+    if (moving.length > 0 && motion === "full") {
+      const deltas = new Map(
+        moving.map((el) => {
+          const from = first.get(el).rect;
+          const to = last.get(el).rect;
+          return [
+            el,
+            {
+              x: from.left + from.width / 2 - (to.left + to.width / 2),
+              y: from.top + from.height / 2 - (to.top + to.height / 2),
+              scaleX: to.width ? from.width / to.width : 1,
+              scaleY: to.height ? from.height / to.height : 1,
+            },
+          ];
+        })
+      );
+      timeline.add(
+        moving,
+        {
+          translateX: [(el) => deltas.get(el).x, 0],
+          translateY: [(el) => deltas.get(el).y, 0],
+          scaleX: [(el) => deltas.get(el).scaleX, 1],
+          scaleY: [(el) => deltas.get(el).scaleY, 1],
+          duration,
+          ease,
+          ...staggerDelay(moving),
+          ...(corrections ? { onUpdate: corrections.update } : {}),
+        },
+        0
+      );
+    }
+    if (entering.length > 0) {
+      timeline.add(
+        entering,
+        { ...transitionParams(enter), ...staggerDelay(entering) },
+        0
+      );
+    }
+    if (ghosts.length > 0) {
+      timeline.add(
+        ghosts,
+        { ...transitionParams(leave), ...staggerDelay(ghosts) },
+        0
+      );
+    }
+
+    if (motion === "none") {
+      return this._jumpToEnd(timeline);
+    }
+    // Rendered right away, so the new layout doesn't show for a frame before the transition starts.
+    timeline.init();
+    corrections?.update();
+    return timeline;
+  }
+
+  /**
+   * Creates the copy of an element leaving a FLIP transition, positioned over its old layout.
+   * @param {HTMLElement} element - The removed or hidden element.
+   * @param {{rect: DOMRect, display: string}} layout - The layout recorded before the change.
+   * @returns {HTMLElement} The copy, appended to the body.
+   * @private
+   */
+  _createFlipGhost(element, { rect, display }) {
+    const ghost = element.cloneNode(true);
+    [ghost, ...ghost.querySelectorAll("[id]")].forEach((node) =>
+      node.removeAttribute("id")
+    );
+    ghost.setAttribute("aria-hidden", "true");
+    Object.assign(ghost.style, {
+      position: "absolute",
+      top: `${rect.top + window.scrollY}px`,
+      left: `${rect.left + window.scrollX}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`,
+      margin: "0",
+      boxSizing: "border-box",
+      pointerEvents: "none",
+    });
+    // The element may have been hidden by a class, which the copy still has.
+    ghost.style.setProperty("display", display, "important");
+    document.body.appendChild(ghost);
+    return ghost;
+  }
+
+  /**
+   * Counter-scales the children of the elements resized by a FLIP transition, so they keep their aspect.
+   * The current scale of an element is read from its size, whatever the format of its transform.
+   * @param {Array<HTMLElement>} elements - The moving elements.
+   * @param {boolean|string} nested - `true` for the direct children, or a selector of descendants.
+   * @param {Map<HTMLElement, {rect: DOMRect}>} layout - The layout of the elements after the change.
+   * @returns {{update: Function, restore: Function}} Functions applying the correction for the current
+   * frame, and restoring the children's inline transforms.
+   * @private
+   */
+  _correctFlipScale(elements, nested, layout) {
+    const corrections = elements.map((element) => ({
+      element,
+      children: (nested === true
+        ? [...element.children]
+        : this._resolveScopedTargets(nested, element)
+      ).map((child) => [child, this._saveInlineStyles(child, ["transform"])]),
+    }));
+    return {
+      update: () => {
+        // Every size is read before the children are written, so the layout is computed once per frame.
+        const scales = corrections.map(({ element }) => {
+          const { width, height } = layout.get(element).rect;
+          const rect = element.getBoundingClientRect();
+          return [
+            width ? rect.width / width : 1,
+            height ? rect.height / height : 1,
+          ];
+        });
+        corrections.forEach(({ children }, index) => {
+          const [scaleX, scaleY] = scales[index];
+          children.forEach(([child]) => {
+            child.style.transform = `scaleX(${1 / (scaleX || 1)}) scaleY(${
+              1 / (scaleY || 1)
+            })`;
+          });
+        });
+      },
+      restore: () =>
+        corrections.forEach(({ children }) =>
+          children.forEach(([, restore]) => restore())
+        ),
+    };
   }
 
   /**
@@ -734,7 +5446,12 @@ class AnimeHelper {
    * @private
    */
   _buildTimeline(parentTargets, config) {
+    const motion = this._getMotion(config);
     const timelineParams = { ...config.params };
+    if (motion !== "full") {
+      timelineParams.autoplay = false;
+      timelineParams.loop = false;
+    }
     const mainTl = this._timelineFn(timelineParams);
     const parentElement = this._resolveTargetsFn(parentTargets)[0];
 
@@ -753,11 +5470,30 @@ class AnimeHelper {
     }
 
     if (Array.isArray(config.steps)) {
-      config.steps.forEach((step) => {
+      config.steps.forEach((originalStep) => {
+        // Copied, so the config can be built again (e.g. after serialization) with its stagger values.
+        const step = {
+          ...originalStep,
+          params: originalStep.params && { ...originalStep.params },
+        };
         if (step.instance) {
           mainTl.sync(step.instance, step.offset);
           return;
         }
+        if (step.type === "flip") {
+          // The layout change runs now, and the step animates from the old layout when the timeline reaches it.
+          const instance = this._createFlipAnimation(
+            step.target,
+            {
+              ...step,
+              motion: step.motion || motion,
+              params: { ...step.params, autoplay: false },
+            },
+            parentElement
+          );
+          mainTl.sync(instance, step.offset);
+          return;
+        }
 
         const childElements = Array.isArray(step.target)
           ? step.target
@@ -767,23 +5503,48 @@ class AnimeHelper {
 
         if (childElements.length > 0) {
           if (step.params?.stagger) {
-            step.params.delay = this._delayToStagger(step.params.stagger);
+            step.params.delay = this._delayToStagger(
+              step.params.stagger,
+              undefined,
+              childElements
+            );
             delete step.params.stagger;
           }
           if (step.stagger) {
-            step.offset = this._delayToStagger(step.stagger);
+            step.offset = this._delayToStagger(
+              step.stagger,
+              undefined,
+              childElements
+            );
             delete step.stagger;
           }
 
+          if (this.constructor._customTypes.has(step.type)) {
+            // Custom steps are built paused and synced, since their handler creates the instance.
+            const instance = this._createCustomAnimation(childElements, {
+              ...step,
+              motion: step.motion || motion,
+              params: { ...step.params, autoplay: false },
+            });
+            if (instance) mainTl.sync(instance, step.offset);
+            return;
+          }
+
           const addAnimationParams = this._createSingleAnimation(
             childElements,
-            step,
+            { ...step, motion: step.motion || motion },
             false
           );
-          mainTl.add(childElements, addAnimationParams, step.offset);
+          const svg = this._prepareDrawTargets(
+            childElements,
+            addAnimationParams
+          );
+          if (svg.restore) this._onRevert(mainTl, svg.restore);
+          mainTl.add(svg.targets, svg.params, step.offset);
         } else if (parentElement) {
+          const targetName = this.constructor._describeTargets(step.target);
           console.warn(
-            `AnimeHelper: Timeline step target "${step.target}" not found within parent.`
+            `AnimeHelper: Timeline step target "${targetName}" not found within parent.`
           );
         }
       });
@@ -797,6 +5558,10 @@ class AnimeHelper {
       });
     }
 
+    if (motion !== "full") {
+      return this._jumpToEnd(mainTl);
+    }
+
     if (timelineParams.init || config.init) {
       return mainTl.init();
     }